@@ -4,11 +4,36 @@
  * Этот модуль реализует авторизацию через твой backend:
  *   POST /api/auth/register  {username, password, email?}
  *   POST /api/auth/login     {username, password, device?}
+ *   POST /api/auth/login/2fa {challenge, code, device?}
  *   GET  /api/auth/me        (Authorization: Bearer <access>)
  *   POST /api/auth/refresh   {refresh}
  *   POST /api/auth/logout    {refresh}
+ *   GET  /api/auth/sessions               (Authorization: Bearer <access>)
+ *   DELETE /api/auth/sessions/:id         (Authorization: Bearer <access>)
+ *   POST /api/auth/logout-all             (Authorization: Bearer <access>)
+ *   POST /api/auth/password               {currentPassword, newPassword} (Authorization: Bearer <access>)
+ *   POST /api/auth/password/forgot        {login}
+ *   POST /api/auth/password/reset         {login, code, newPassword}
+ *   POST /api/auth/2fa/setup              (Authorization: Bearer <access>)
+ *   POST /api/auth/2fa/enable             {code} (Authorization: Bearer <access>)
+ *   POST /api/auth/2fa/disable            {code} (Authorization: Bearer <access>)
+ *   PUT  /api/auth/skin                   {image?, model} (Authorization: Bearer <access>)
+ *   DELETE /api/auth/skin                 (Authorization: Bearer <access>)
+ *   PUT  /api/auth/cape                   {image} (Authorization: Bearer <access>)
+ *   DELETE /api/auth/cape                 (Authorization: Bearer <access>)
+ *
+ * Если для входа нужен второй фактор, /api/auth/login отвечает
+ * {mfaRequired: true, challenge} (или ошибкой mfa_required с тем же challenge).
+ *
+ * image — PNG в base64. Без image PUT /api/auth/skin только меняет модель.
+ * Текстуры приходят в user.textures: {skin: {url, model} | null, cape: {url} | null}
+ * (в /me, в ответе входа и в ответах эндпоинтов текстур). url может быть
+ * относительным — тогда он считается от адреса бэкенда.
  *
  * Данные аккаунта храним в ConfigManager как type: 'custom' с access/refresh токенами.
+ * Адрес бэкенда объявляет дистрибуция (authAPI сервера или её корня), иначе берётся
+ * из настроек лаунчера. Каждый аккаунт помнит свой бэкенд (поле authAPI) и все
+ * запросы от его имени идут туда же.
  *
  * @module authmanager
  */
@@ -21,30 +46,338 @@ const crypto          = require('crypto')
 
 const log = LoggerUtil.getLogger('AuthManager')
 
+// За сколько до истечения access токена обновляем его заранее.
+const REFRESH_MARGIN = 2*60*1000
+// Сколько access токен должен ещё жить в момент запуска игры.
+const LAUNCH_MIN_VALIDITY = 10*60*1000
+// Повтор фонового обновления после неудачи.
+const REFRESH_RETRY_DELAY = 60*1000
+// Максимальная задержка setTimeout (~24.8 дня).
+const MAX_TIMER_DELAY = 2147483647
+
+/**
+ * Результат проверки аккаунта.
+ *  - VALID: токен действителен (или обновлён).
+ *  - OFFLINE: бэкенд недоступен, аккаунт оставляем — можно играть оффлайн.
+ *  - REJECTED: бэкенд отказал, нужен повторный вход.
+ */
+const ACCESS_STATUS = Object.freeze({
+    VALID: 'valid',
+    OFFLINE: 'offline',
+    REJECTED: 'rejected'
+})
+
+let refreshTimer = null
+// authAPI из корня дистрибуции (null, если она его не объявляет).
+let distributionAuthAPI = null
+// Выбранный сервер — вход, регистрация и сброс пароля идут на его бэкенд.
+let activeServer = null
+// Бэкенд, подменяющий все остальные (мок-сервер в dev режиме).
+let authAPIOverride = null
+// UUID аккаунтов, которые уже сверили с /api/auth/me в этой сессии.
+const identityChecked = new Set()
+
+/**
+ * Модель рук скина.
+ */
+const SKIN_MODEL = Object.freeze({
+    CLASSIC: 'classic',
+    SLIM: 'slim'
+})
+
 // --------------------------------- Helpers ---------------------------------
 
+/**
+ * Привести адрес бэкенда к единому виду (без завершающих слэшей),
+ * чтобы адреса из конфига и дистрибуции можно было сравнивать.
+ * @param {string|null|undefined} url
+ * @returns {string|null}
+ */
+function normalizeAuthAPI(url){
+    return typeof url === 'string' && url.trim() ? url.trim().replace(/\/+$/, '') : null
+}
+
+/**
+ * Бэкенд по умолчанию: authAPI из дистрибуции, а если его нет — из настроек лаунчера.
+ * @returns {string}
+ */
+function defaultAuthAPI(){
+    return distributionAuthAPI ?? normalizeAuthAPI(ConfigManager.getAuthAPI())
+}
+
+/**
+ * Бэкенд для входа и регистрации — тот, что объявлен для выбранного сервера.
+ * @returns {string}
+ */
 function apiBase(){
-    // адрес бэкенда берём из конфига
-    return ConfigManager.getAuthAPI ? ConfigManager.getAuthAPI() : 'http://localhost:5000'
+    return getServerAuthAPI(activeServer)
 }
 
-async function api(path, method = 'GET', body = null, token = null){
+/**
+ * Бэкенд, на котором был получен аккаунт. Старые записи без метки
+ * считаем аккаунтами глобального бэкенда из настроек.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @returns {string}
+ */
+function accountAuthAPI(acc){
+    return normalizeAuthAPI(acc?.authAPI) ?? normalizeAuthAPI(ConfigManager.getAuthAPI())
+}
+
+/**
+ * Виды ошибок auth API — по ним UI выбирает текст ошибки.
+ *  - NETWORK: бэкенд недоступен или не ответил вовремя (status 0).
+ *  - REJECTED: бэкенд отказал (4xx, кроме 429).
+ *  - RATE_LIMITED: слишком много запросов (429).
+ *  - SERVER: ошибка на стороне бэкенда (5xx).
+ */
+const AUTH_ERROR_KIND = Object.freeze({
+    NETWORK: 'network',
+    REJECTED: 'rejected',
+    RATE_LIMITED: 'rateLimited',
+    SERVER: 'server'
+})
+
+/**
+ * Ошибка запроса к auth API.
+ */
+class AuthAPIError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {Object} props
+     * @param {string} props.kind Один из AUTH_ERROR_KIND.
+     * @param {string|null} props.code Код ошибки бэкенда (поле error), 'unreachable' или 'timeout'.
+     * @param {number} props.status HTTP статус (0, если ответа нет).
+     * @param {Object} props.data Тело ответа.
+     * @param {number|null} props.retryAfter Через сколько мс можно повторить (заголовок Retry-After).
+     */
+    constructor(message, { kind, code = null, status = 0, data = {}, retryAfter = null }){
+        super(message)
+        this.name = 'AuthAPIError'
+        this.kind = kind
+        this.code = code
+        this.status = status
+        this.data = data
+        this.retryAfter = retryAfter
+    }
+
+}
+
+// Задержка перед первым повтором, дальше удваивается.
+const RETRY_BASE_DELAY = 500
+// Потолок задержки между повторами.
+const RETRY_MAX_DELAY = 8000
+// Если бэкенд просит подождать дольше — не ждём, а сразу отдаём ошибку,
+// чтобы кнопка входа не висела, а пользователь увидел, сколько ждать.
+const RETRY_AFTER_LIMIT = 5*1000
+
+/**
+ * Разобрать заголовок Retry-After (секунды или HTTP дата).
+ * @param {string|null} header
+ * @returns {number|null} Задержка в мс или null, если заголовка нет.
+ */
+function parseRetryAfter(header){
+    if(!header) return null
+    const seconds = Number(header)
+    if(Number.isFinite(seconds)){
+        return Math.max(seconds, 0) * 1000
+    }
+    const date = Date.parse(header)
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Один запрос к auth API без повторов.
+ * @returns {Promise<Object>} Тело ответа.
+ */
+async function request(base, path, method, body, token, timeout){
     const headers = { 'Content-Type': 'application/json' }
     if(token) headers['Authorization'] = `Bearer ${token}`
-    const res = await fetch(`${apiBase()}${path}`, {
-        method,
-        headers,
-        body: body ? JSON.stringify(body) : undefined
-    })
+    const controller = new AbortController()
+    // Таймаут действует, пока не прочитано тело: бэкенд может отдать
+    // заголовки и зависнуть.
+    const timer = setTimeout(() => controller.abort(), timeout)
+    let res
+    let text
+    try {
+        res = await fetch(`${base}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        })
+        text = await res.text()
+    } catch(err) {
+        // fetch падает только на сетевых ошибках (DNS, отказ соединения и т.п.) или по таймауту
+        const timedOut = controller.signal.aborted
+        throw new AuthAPIError(timedOut ? `Timed out after ${timeout} ms` : err.message, {
+            kind: AUTH_ERROR_KIND.NETWORK,
+            code: timedOut ? 'timeout' : 'unreachable'
+        })
+    } finally {
+        clearTimeout(timer)
+    }
     let data = {}
-    try { data = await res.json() } catch { /* ignore non-json */ }
+    try { data = JSON.parse(text) } catch { /* ignore non-json */ }
     if(!res.ok){
-        const msg = data?.error || `HTTP ${res.status}`
-        throw new Error(msg)
+        let kind = AUTH_ERROR_KIND.REJECTED
+        if(res.status === 429){
+            kind = AUTH_ERROR_KIND.RATE_LIMITED
+        } else if(res.status >= 500){
+            kind = AUTH_ERROR_KIND.SERVER
+        }
+        // код ошибки бэкенда (поле error) и HTTP статус — для маппинга в UI
+        throw new AuthAPIError(data?.error || `HTTP ${res.status}`, {
+            kind,
+            code: data?.error || null,
+            status: res.status,
+            data,
+            retryAfter: parseRetryAfter(res.headers.get('Retry-After'))
+        })
     }
     return data
 }
 
+/**
+ * Через сколько повторить неудавшийся запрос.
+ * Повторяем только временные сбои. Неидемпотентные запросы (например,
+ * регистрацию) при обрыве связи не повторяем — бэкенд мог их уже выполнить;
+ * для них повтор возможен, только если бэкенд явно не стал их обрабатывать (429/503).
+ * @param {AuthAPIError} err
+ * @param {number} attempt Номер неудавшейся попытки, с нуля.
+ * @param {boolean} idempotent Можно ли безопасно повторить запрос.
+ * @returns {number|null} Задержка в мс или null, если повторять не нужно.
+ */
+function retryDelay(err, attempt, idempotent){
+    const backoff = Math.min(RETRY_BASE_DELAY * 2**attempt, RETRY_MAX_DELAY)
+    // Немного случайности, чтобы лаунчеры не ломились в бэкенд одновременно.
+    const jittered = Math.round(backoff * (0.5 + Math.random() / 2))
+    switch(err.kind){
+        case AUTH_ERROR_KIND.RATE_LIMITED:
+            if(err.retryAfter == null){
+                return jittered
+            }
+            return err.retryAfter <= RETRY_AFTER_LIMIT ? err.retryAfter : null
+        case AUTH_ERROR_KIND.SERVER:
+            return idempotent || err.status === 503 ? jittered : null
+        case AUTH_ERROR_KIND.NETWORK:
+            return idempotent ? jittered : null
+        default:
+            return null
+    }
+}
+
+/**
+ * Запрос к auth API с таймаутом и повторами при временных сбоях.
+ * @param {string} base Базовый адрес бэкенда.
+ * @param {string} path
+ * @param {string} method
+ * @param {Object|null} body
+ * @param {string|null} token Access токен.
+ * @param {Object} options
+ * @param {number} options.timeout Таймаут одной попытки (мс), по умолчанию из конфига.
+ * @param {number} options.retries Сколько раз повторять, по умолчанию из конфига.
+ * @param {boolean} options.idempotent Можно ли повторять при обрыве связи. По умолчанию — для GET и DELETE.
+ * @returns {Promise<Object>} Тело ответа.
+ * @throws {AuthAPIError}
+ */
+async function api(base, path, method = 'GET', body = null, token = null, {
+    timeout = ConfigManager.getAuthTimeout(),
+    retries = ConfigManager.getAuthRetries(),
+    idempotent = method === 'GET' || method === 'DELETE'
+} = {}){
+    for(let attempt = 0; ; attempt++){
+        try {
+            return await request(base, path, method, body, token, timeout)
+        } catch(err) {
+            const delay = retryDelay(err, attempt, idempotent)
+            if(attempt >= retries || delay == null){
+                throw err
+            }
+            log.warn(`${method} ${path} failed (${err.message}), retrying in ${delay} ms.`)
+            await new Promise(resolve => setTimeout(resolve, delay))
+        }
+    }
+}
+
+/**
+ * Ошибка из api() означает сбой сети или самого бэкенда, а не отказ в доступе.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isNetworkFailure(err){
+    return err?.kind === AUTH_ERROR_KIND.NETWORK || err?.kind === AUTH_ERROR_KIND.SERVER
+}
+
+/**
+ * Коды ошибок бэкенда (поле `error`) → ключи в секции `auth.custom.error` языкового файла.
+ */
+const CUSTOM_ERROR_KEYS = {
+    invalid_credentials: 'invalidCredentials',
+    user_not_found: 'invalidCredentials',
+    user_banned: 'userBanned',
+    too_many_requests: 'tooManyAttempts',
+    missing_fields: 'missingCredentials',
+    username_taken: 'usernameTaken',
+    user_exists: 'usernameTaken',
+    email_taken: 'emailTaken',
+    invalid_username: 'invalidUsername',
+    invalid_email: 'invalidEmail',
+    weak_password: 'weakPassword',
+    invalid_code: 'invalidCode',
+    code_expired: 'invalidCode',
+    wrong_password: 'wrongPassword',
+    invalid_totp: 'invalidTotp',
+    challenge_expired: 'challengeExpired',
+    unreachable: 'unreachable',
+    timeout: 'timeout',
+    invalid_skin: 'invalidSkin',
+    invalid_cape: 'invalidCape',
+    image_too_large: 'imageTooLarge'
+}
+
+/**
+ * Превратить ошибку из api() в displayable-объект {title, desc} для оверлея.
+ * Сначала смотрим на поле `error` бэкенда, затем на HTTP статус.
+ *
+ * @param {Error} err Ошибка, брошенная api().
+ * @returns {{title: string, desc: string}}
+ */
+function customErrorDisplayable(err){
+    let key = CUSTOM_ERROR_KEYS[err?.code]
+    if(key == null){
+        if(err?.kind === AUTH_ERROR_KIND.RATE_LIMITED){
+            key = 'tooManyAttempts'
+        } else if(err?.kind === AUTH_ERROR_KIND.SERVER){
+            key = 'serverError'
+        } else if(err?.kind === AUTH_ERROR_KIND.NETWORK){
+            key = 'unreachable'
+        } else if(err?.status === 401 || err?.status === 403){
+            key = 'invalidCredentials'
+        } else if(err?.status === 409){
+            key = 'usernameTaken'
+        }
+    }
+    if(key === 'tooManyAttempts' && err?.retryAfter != null){
+        // Бэкенд сказал, сколько ждать — так и напишем.
+        return {
+            title: Lang.queryJS('auth.custom.error.tooManyAttemptsTitle'),
+            desc: Lang.queryJS('auth.custom.error.tooManyAttemptsRetryDesc', { seconds: Math.ceil(err.retryAfter / 1000) })
+        }
+    }
+    if(key != null){
+        return {
+            title: Lang.queryJS(`auth.custom.error.${key}Title`),
+            desc: Lang.queryJS(`auth.custom.error.${key}Desc`)
+        }
+    }
+    // Неизвестный код — покажем текст бэкенда как есть.
+    return {
+        title: Lang.queryJS('auth.custom.error.unknownTitle'),
+        desc: err?.code ? err.message : Lang.queryJS('auth.custom.error.unknownDesc')
+    }
+}
+
 /**
  * Offline UUID в стиле ваниллы (OfflinePlayer:NAME → md5 → UUID)
  * @param {string} name
@@ -55,31 +388,272 @@ function offlineUUID(name){
     return `${md5.substr(0,8)}-${md5.substr(8,4)}-${md5.substr(12,4)}-${md5.substr(16,4)}-${md5.substr(20)}`
 }
 
+/**
+ * Привести UUID от бэкенда к виду с дефисами (он может прийти и без них).
+ * @param {string|null|undefined} uuid
+ * @returns {string|null} UUID или null, если значение не похоже на UUID.
+ */
+function normalizeUUID(uuid){
+    if(typeof uuid !== 'string') return null
+    const hex = uuid.replace(/-/g, '').toLowerCase()
+    if(!/^[0-9a-f]{32}$/.test(hex)) return null
+    return `${hex.substr(0,8)}-${hex.substr(8,4)}-${hex.substr(12,4)}-${hex.substr(16,4)}-${hex.substr(20)}`
+}
+
+/**
+ * UUID игрока: выданный бэкендом, а если его нет — оффлайн по нику.
+ * @param {Object|null|undefined} user Объект user из ответа бэкенда.
+ * @param {string} nick
+ * @returns {string}
+ */
+function accountUUID(user, nick){
+    return normalizeUUID(user?.uuid) || offlineUUID(nick)
+}
+
+/**
+ * Достать время истечения из claim'а `exp` JWT. Подпись не проверяется —
+ * это нужно только чтобы знать, когда обновлять токен.
+ * @param {string|null} token
+ * @returns {number|null} Время истечения (мс, epoch) или null, если exp нет.
+ */
+function tokenExpiry(token){
+    if(!token) return null
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'))
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+    } catch {
+        return null
+    }
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+// Допустимые размеры текстур. 64x32 — старый формат скина, без второго слоя.
+const SKIN_SIZES = ['64x64', '64x32']
+const CAPE_SIZES = ['64x32']
+// Ванильный скин весит пару килобайт, больше не отправляем.
+const TEXTURE_MAX_BYTES = 64*1024
+
+/**
+ * Прочитать размеры PNG из заголовка IHDR.
+ * @param {Buffer} image
+ * @returns {{width: number, height: number}|null} null, если это не PNG.
+ */
+function pngSize(image){
+    if(!Buffer.isBuffer(image) || image.length < 24
+        || !image.subarray(0, 8).equals(PNG_SIGNATURE) || image.toString('ascii', 12, 16) !== 'IHDR'){
+        return null
+    }
+    return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) }
+}
+
+/**
+ * Проверить файл текстуры до отправки на бэкенд.
+ * @param {Buffer} image
+ * @param {string[]} sizes Допустимые размеры вида 'WxH'.
+ * @param {string} code Код ошибки, если проверка не пройдена.
+ * @returns {string|null} Код ошибки или null, если всё в порядке.
+ */
+function checkTexture(image, sizes, code){
+    if(Buffer.isBuffer(image) && image.length > TEXTURE_MAX_BYTES){
+        log.warn(`Rejected texture of ${image.length} bytes.`)
+        return 'image_too_large'
+    }
+    const size = pngSize(image)
+    if(size == null || !sizes.includes(`${size.width}x${size.height}`)){
+        log.warn(size == null ? 'Rejected texture, not a PNG image.' : `Rejected texture of size ${size.width}x${size.height}.`)
+        return code
+    }
+    return null
+}
+
+/**
+ * Привести user.textures из ответа бэкенда к виду, который храним в аккаунте.
+ * Относительные адреса превращаем в абсолютные.
+ * @param {string} base Бэкенд, от которого пришёл ответ.
+ * @param {Object} user Объект user из ответа бэкенда.
+ * @returns {{skin: {url: string, model: string}|null, cape: {url: string}|null}}
+ */
+function texturesOf(base, user){
+    const resolve = (url) => {
+        try {
+            return typeof url === 'string' && url ? new URL(url, `${base}/`).toString() : null
+        } catch {
+            return null
+        }
+    }
+    const skinURL = resolve(user?.textures?.skin?.url)
+    const capeURL = resolve(user?.textures?.cape?.url)
+    return {
+        skin: skinURL ? { url: skinURL, model: user.textures.skin.model === SKIN_MODEL.SLIM ? SKIN_MODEL.SLIM : SKIN_MODEL.CLASSIC } : null,
+        cape: capeURL ? { url: capeURL } : null
+    }
+}
+
+/**
+ * Запомнить текстуры аккаунта, если бэкенд их прислал.
+ * @param {string} uuid
+ * @param {string} base Бэкенд, от которого пришёл ответ.
+ * @param {Object} res Ответ бэкенда (с user или сам user).
+ * @returns {Object|null} Сохранённые текстуры или null, если в ответе их нет.
+ */
+function storeTextures(uuid, base, res){
+    const user = res?.user ?? res
+    if(user?.textures === undefined){
+        return null
+    }
+    const textures = texturesOf(base, user)
+    ConfigManager.setAuthAccountTextures(uuid, textures)
+    ConfigManager.scheduleSave()
+    return textures
+}
+
 // --------------------------------- API calls ---------------------------------
 
 async function apiRegister(username, password, email = null){
-    return api('/api/auth/register', 'POST', { username, password, email })
+    return api(apiBase(), '/api/auth/register', 'POST', { username, password, email })
 }
 
 async function apiLogin(username, password){
-    return api('/api/auth/login', 'POST', { username, password, device: 'Helios-Launcher' })
+    // Повторный вход безопасен — в худшем случае появится лишняя сессия.
+    return api(apiBase(), '/api/auth/login', 'POST', { username, password, device: 'Helios-Launcher' }, null, { idempotent: true })
 }
 
-async function apiMe(access){
-    return api('/api/auth/me', 'GET', null, access)
+async function apiLoginSecondFactor(challenge, code){
+    return api(apiBase(), '/api/auth/login/2fa', 'POST', { challenge, code, device: 'Helios-Launcher' })
 }
 
-async function apiRefresh(refresh){
-    return api('/api/auth/refresh', 'POST', { refresh })
+async function apiMe(base, access){
+    return api(base, '/api/auth/me', 'GET', null, access)
 }
 
-async function apiLogout(refresh){
+async function apiRefresh(base, refresh){
+    return api(base, '/api/auth/refresh', 'POST', { refresh })
+}
+
+async function apiLogout(base, refresh){
     // не обязательно звать при локальном выходе, но оставим
-    try { await api('/api/auth/logout', 'POST', { refresh }) } catch { /* swallow */ }
+    try { await api(base, '/api/auth/logout', 'POST', { refresh }) } catch { /* swallow */ }
+}
+
+async function apiSessions(base, access){
+    return api(base, '/api/auth/sessions', 'GET', null, access)
+}
+
+async function apiRevokeSession(base, access, id){
+    return api(base, `/api/auth/sessions/${encodeURIComponent(id)}`, 'DELETE', null, access)
+}
+
+async function apiLogoutAll(base, access){
+    return api(base, '/api/auth/logout-all', 'POST', null, access)
+}
+
+async function apiSetupTwoFactor(base, access){
+    return api(base, '/api/auth/2fa/setup', 'POST', null, access)
+}
+
+async function apiEnableTwoFactor(base, access, code){
+    return api(base, '/api/auth/2fa/enable', 'POST', { code }, access)
+}
+
+async function apiDisableTwoFactor(base, access, code){
+    return api(base, '/api/auth/2fa/disable', 'POST', { code }, access)
+}
+
+async function apiChangePassword(base, access, currentPassword, newPassword){
+    return api(base, '/api/auth/password', 'POST', { currentPassword, newPassword }, access)
+}
+
+async function apiSetSkin(base, access, image, model){
+    return api(base, '/api/auth/skin', 'PUT', { image: image?.toString('base64'), model }, access)
+}
+
+async function apiRemoveSkin(base, access){
+    return api(base, '/api/auth/skin', 'DELETE', null, access)
+}
+
+async function apiSetCape(base, access, image){
+    return api(base, '/api/auth/cape', 'PUT', { image: image.toString('base64') }, access)
+}
+
+async function apiRemoveCape(base, access){
+    return api(base, '/api/auth/cape', 'DELETE', null, access)
+}
+
+async function apiForgotPassword(login){
+    return api(apiBase(), '/api/auth/password/forgot', 'POST', { login })
+}
+
+async function apiResetPassword(login, code, newPassword){
+    return api(apiBase(), '/api/auth/password/reset', 'POST', { login, code, newPassword })
 }
 
 // ------------------------------- Public API ---------------------------------
 
+exports.AccessStatus = ACCESS_STATUS
+exports.SkinModel = SKIN_MODEL
+exports.AuthErrorKind = AUTH_ERROR_KIND
+exports.AuthAPIError = AuthAPIError
+exports.customErrorDisplayable = customErrorDisplayable
+
+/**
+ * Запомнить authAPI, объявленный в корне дистрибуции. Вызывается при каждой
+ * загрузке/обновлении дистрибуции.
+ * @param {Object|null} distro HeliosDistribution.
+ */
+exports.setDistribution = function(distro){
+    distributionAuthAPI = normalizeAuthAPI(distro?.rawDistribution?.authAPI)
+}
+
+/**
+ * Бэкенд авторизации сервера: его собственный authAPI, иначе authAPI
+ * дистрибуции, иначе глобальный из настроек.
+ * @param {Object|null} server HeliosServer.
+ * @returns {string}
+ */
+function getServerAuthAPI(server){
+    return authAPIOverride ?? normalizeAuthAPI(server?.rawServer?.authAPI) ?? defaultAuthAPI()
+}
+exports.getServerAuthAPI = getServerAuthAPI
+
+/**
+ * Направить все серверы на один бэкенд, несмотря на дистрибуцию и настройки.
+ * Используется для мок-сервера в dev режиме. Аккаунты других бэкендов
+ * при этом не выбираются, но продолжают ходить на свои бэкенды.
+ * @param {string|null} url Адрес бэкенда или null, чтобы снять подмену.
+ */
+exports.setAuthAPIOverride = function(url){
+    authAPIOverride = normalizeAuthAPI(url)
+}
+
+/**
+ * Сделать бэкенд сервера активным: новые аккаунты будут входить через него.
+ * @param {Object|null} server HeliosServer.
+ */
+exports.setActiveServer = function(server){
+    activeServer = server
+}
+
+/**
+ * Бэкенд, к которому привязан аккаунт.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @returns {string}
+ */
+exports.getAccountAuthAPI = accountAuthAPI
+
+/**
+ * Можно ли играть аккаунтом на сервере, т.е. получен ли он на бэкенде сервера.
+ * Без сервера проверяем по активному бэкенду.
+ * @param {Object|null} acc Аккаунт из ConfigManager.
+ * @param {Object|null} server HeliosServer. Если не указан — активный сервер.
+ * @returns {boolean}
+ */
+exports.isAccountForServer = function(acc, server = null){
+    if(acc == null || acc.type !== 'custom'){
+        return false
+    }
+    return accountAuthAPI(acc) === getServerAuthAPI(server ?? activeServer)
+}
+
 /**
  * Зарегистрировать пользователя на твоём бэкенде.
  * @param {string} username
@@ -89,9 +663,14 @@ async function apiLogout(refresh){
  */
 exports.registerAccount = async function(username, password, email = null){
     if(!username || !password){
-        throw new Error(Lang?.queryJS?.('auth.custom.error.missingCreds') || 'Введите логин и пароль.')
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    try {
+        await apiRegister(username.trim(), password, email?.trim() || null)
+    } catch(err) {
+        log.error('Registration failed:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
     }
-    await apiRegister(username.trim(), password, email?.trim() || null)
 }
 
 /**
@@ -102,15 +681,99 @@ exports.registerAccount = async function(username, password, email = null){
  */
 exports.addCustomAccount = async function(username, password){
     if(!username || !password){
-        throw new Error(Lang?.queryJS?.('auth.custom.error.missingCreds') || 'Введите логин и пароль.')
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    let res
+    try {
+        res = await apiLogin(username.trim(), password)
+    } catch(err) {
+        if(err.code === 'mfa_required' && err.data?.challenge){
+            return Promise.reject(secondFactorRequired(err.data.challenge))
+        }
+        log.error('Login failed:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+    if(res?.mfaRequired){
+        return Promise.reject(secondFactorRequired(res.challenge))
     }
-    const { access, refresh, user } = await apiLogin(username.trim(), password)
-    const nick = user?.username || username.trim()
-    const uuid = offlineUUID(nick)
+    return saveLogin(res, username.trim())
+}
 
-    const acc = ConfigManager.addCustomAuthAccount(uuid, access, refresh, nick)
+/**
+ * Завершить вход кодом второго фактора (TOTP).
+ * @param {string} challenge Challenge из ответа /api/auth/login.
+ * @param {string} code Код из приложения-аутентификатора.
+ * @param {string} username Ник, под которым начали вход.
+ * @returns {Promise<Object>} сохранённый аккаунт
+ */
+exports.completeSecondFactor = async function(challenge, code, username){
+    if(!challenge || !code){
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    let res
+    try {
+        res = await apiLoginSecondFactor(challenge, code.trim())
+    } catch(err) {
+        log.error('Second factor failed:', err.message)
+        if(err.code == null && err.status === 401){
+            err.code = 'invalid_totp'
+        }
+        // С протухшим challenge повторять бессмысленно — вход нужно начать заново.
+        return Promise.reject({
+            ...customErrorDisplayable(err),
+            challengeExpired: err.code === 'challenge_expired'
+        })
+    }
+    return saveLogin(res, username.trim())
+}
+
+/**
+ * Ошибка-маркер «нужен второй фактор». Это обычный displayable-объект,
+ * поэтому там, где шаг с кодом не поддерживается, он просто покажется в оверлее.
+ * @param {string} challenge
+ * @returns {{title: string, desc: string, secondFactor: {challenge: string}}}
+ */
+function secondFactorRequired(challenge){
+    return {
+        title: Lang.queryJS('auth.custom.error.secondFactorRequiredTitle'),
+        desc: Lang.queryJS('auth.custom.error.secondFactorRequiredDesc'),
+        secondFactor: { challenge }
+    }
+}
+
+/**
+ * Сохранить аккаунт из успешного ответа входа.
+ * @param {{access: string, refresh: string, user: Object}} res Ответ бэкенда.
+ * @param {string} username Ник, под которым входили (если бэкенд не вернул свой).
+ * @returns {Object} сохранённый аккаунт
+ */
+function saveLogin({ access, refresh, user }, username){
+    const nick = user?.username || username
+    const uuid = accountUUID(user, nick)
+    const base = apiBase()
+
+    // Этот же аккаунт мог быть сохранён раньше под другим UUID (оффлайн) — переносим.
+    // Одинаковый ник на другом бэкенде — это другой аккаунт, его не трогаем.
+    for(const old of Object.values(ConfigManager.getAuthAccounts())){
+        if(old.type === 'custom' && old.uuid !== uuid && accountAuthAPI(old) === base
+            && old.displayName.toLowerCase() === nick.toLowerCase()){
+            log.info(`Migrating account ${nick} from ${old.uuid} to ${uuid}.`)
+            ConfigManager.migrateAuthAccount(old.uuid, uuid)
+        }
+    }
+    identityChecked.add(uuid)
+
+    // Запись аккаунта создаётся заново — текстуры переносим, если бэкенд их не прислал.
+    const textures = ConfigManager.getAuthAccount(uuid)?.textures
+    ConfigManager.addCustomAuthAccount(uuid, access, refresh, nick, tokenExpiry(access), base)
+    if(storeTextures(uuid, base, user) == null && textures != null){
+        ConfigManager.setAuthAccountTextures(uuid, textures)
+    }
+    const acc = ConfigManager.getAuthAccount(uuid)
     // clientToken Mojang нам не нужен — пропускаем
+    // Токены пишем сразу, не дожидаясь отложенной записи, см. refreshAccount.
     ConfigManager.save()
+    scheduleRefresh()
     return acc
 }
 
@@ -123,55 +786,560 @@ exports.removeAccount = async function(uuid){
     try{
         const acc = ConfigManager.getAuthAccount(uuid)
         if(acc?.refreshToken){
-            await apiLogout(acc.refreshToken)
+            await apiLogout(accountAuthAPI(acc), acc.refreshToken)
         }
     }catch(e){
         log.warn('Logout request failed (ignored):', e.message)
     }
     ConfigManager.removeAuthAccount(uuid)
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
+    scheduleRefresh()
+}
+
+/**
+ * Обновить access токен аккаунта через refresh и сохранить его в конфиг
+ * вместе с новым временем истечения.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @returns {Promise<string>} Один из ACCESS_STATUS.
+ */
+async function refreshAccount(acc){
+    if(!acc.refreshToken){
+        log.info('No refresh token, re-login required.')
+        return ACCESS_STATUS.REJECTED
+    }
+    try{
+        const ref = await apiRefresh(accountAuthAPI(acc), acc.refreshToken)
+        // бэкенд может ротировать refresh — тогда сохраняем новый, и сразу:
+        // старый уже недействителен, а отложенная запись может не успеть.
+        ConfigManager.updateCustomAuthAccount(acc.uuid, ref.access, ref.refresh || undefined, tokenExpiry(ref.access))
+        ConfigManager.save()
+        scheduleRefresh()
+        return ACCESS_STATUS.VALID
+    }catch(err){
+        log.warn('Refresh failed:', err.message)
+        return isNetworkFailure(err) ? ACCESS_STATUS.OFFLINE : ACCESS_STATUS.REJECTED
+    }
+}
+
+/**
+ * Запланировать фоновое обновление для custom аккаунта, чей access токен
+ * истекает раньше всех. Предыдущий таймер сбрасывается. Уже истёкшие
+ * токены не трогаем — их обновит ensureSelectedAccess при валидации.
+ */
+function scheduleRefresh(){
+    clearTimeout(refreshTimer)
+    refreshTimer = null
+
+    const now = Date.now()
+    let next = null
+    for(const acc of Object.values(ConfigManager.getAuthAccounts())){
+        const expiresAt = acc.expiresAt ?? tokenExpiry(acc.accessToken)
+        if(acc.type !== 'custom' || !acc.refreshToken || expiresAt == null || expiresAt <= now){
+            continue
+        }
+        if(next == null || expiresAt < next.expiresAt){
+            next = { uuid: acc.uuid, expiresAt }
+        }
+    }
+    if(next == null){
+        return
+    }
+
+    const delay = Math.min(Math.max(next.expiresAt - REFRESH_MARGIN - now, 0), MAX_TIMER_DELAY)
+    refreshTimer = setTimeout(async () => {
+        const acc = ConfigManager.getAuthAccount(next.uuid)
+        if(acc == null){
+            scheduleRefresh()
+            return
+        }
+        log.info(`Refreshing access token for ${acc.displayName} ahead of expiry.`)
+        if(await refreshAccount(acc) !== ACCESS_STATUS.VALID){
+            refreshTimer = setTimeout(scheduleRefresh, REFRESH_RETRY_DELAY)
+        }
+    }, delay)
 }
 
 /**
- * Обновить access токен, если он протух (через refresh).
- * Обновлённый токен сохраняется в конфиг.
- * @returns {Promise<boolean>} true, если токен валиден/обновлён; false, если не удалось.
+ * Сверить UUID аккаунта с тем, что сообщает /api/auth/me, и перенести запись,
+ * если бэкенд выдал другой. Делается один раз за сессию на аккаунт.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @param {Object} me Ответ /api/auth/me, если он уже получен.
  */
-async function ensureSelectedAccess(){
+async function syncIdentity(acc, me = null){
+    if(identityChecked.has(acc.uuid)){
+        return
+    }
+    try{
+        me = me ?? await apiMe(accountAuthAPI(acc), acc.accessToken)
+    }catch(err){
+        log.warn('Unable to verify account identity:', err.message)
+        return
+    }
+    const uuid = normalizeUUID((me?.user ?? me)?.uuid)
+    if(uuid != null && uuid !== acc.uuid){
+        log.info(`Backend reports UUID ${uuid} for ${acc.displayName}, migrating from ${acc.uuid}.`)
+        ConfigManager.migrateAuthAccount(acc.uuid, uuid)
+        ConfigManager.scheduleSave()
+    }
+    // Заодно обновляем текстуры — скин могли сменить с другого устройства.
+    storeTextures(uuid ?? acc.uuid, accountAuthAPI(acc), me)
+    identityChecked.add(uuid ?? acc.uuid)
+}
+
+/**
+ * Убедиться, что access токен выбранного аккаунта проживёт ещё хотя бы
+ * minValidity мс, иначе обновить его через refresh. Если в токене есть exp,
+ * сеть не трогаем; без exp проверяем токен через /api/auth/me, как раньше.
+ * Недоступность бэкенда (OFFLINE) отличаем от отказа (REJECTED), чтобы
+ * не выкидывать аккаунт во время падения бэкенда.
+ * @param {number} minValidity Минимальный остаток жизни токена (мс).
+ * @returns {Promise<string>} Один из ACCESS_STATUS.
+ */
+async function ensureSelectedAccess(minValidity = REFRESH_MARGIN){
     const current = ConfigManager.getSelectedAccount()
     if(!current || current.type !== 'custom'){
-        return false
+        return ACCESS_STATUS.REJECTED
     }
-    // 1) Пытаемся проверить access.
-    try{
-        await apiMe(current.accessToken)
-        return true
-    }catch(e){
-        // 2) Пытаемся обновить через refresh.
-        if(!current.refreshToken){
-            log.info('No refresh token, re-login required.')
-            return false
+    let status
+    let me = null
+    const expiresAt = current.expiresAt ?? tokenExpiry(current.accessToken)
+    if(expiresAt != null){
+        // Старые записи без expiresAt — дописываем.
+        if(current.expiresAt == null){
+            ConfigManager.updateCustomAuthAccount(current.uuid, undefined, undefined, expiresAt)
+            ConfigManager.scheduleSave()
+        }
+        if(expiresAt - Date.now() > minValidity){
+            status = ACCESS_STATUS.VALID
+        } else {
+            status = await refreshAccount(current)
+            // Обновить не вышло, но текущий токен ещё жив — пользуемся им.
+            if(status !== ACCESS_STATUS.VALID && expiresAt > Date.now()){
+                status = ACCESS_STATUS.VALID
+            }
         }
+    } else {
         try{
-            const ref = await apiRefresh(current.refreshToken)
-            ConfigManager.updateCustomAuthAccount(current.uuid, ref.access, undefined)
-            ConfigManager.save()
-            return true
+            me = await apiMe(accountAuthAPI(current), current.accessToken)
+            status = ACCESS_STATUS.VALID
         }catch(err){
-            log.warn('Refresh failed:', err.message)
-            return false
+            status = isNetworkFailure(err) ? ACCESS_STATUS.OFFLINE : await refreshAccount(current)
         }
     }
+    if(status === ACCESS_STATUS.VALID){
+        await syncIdentity(ConfigManager.getAuthAccount(current.uuid), me)
+    }
+    return status
 }
 
 /**
- * Валидировать выбранный аккаунт. Если access протух — обновить.
+ * Вызвать защищённый эндпоинт от имени аккаунта. Если access скоро протухнет —
+ * обновляем его заранее; если бэкенд всё равно ответил 401 — обновляем и
+ * пробуем ещё раз.
+ * @param {string} uuid
+ * @param {function(string, string): Promise<*>} call Вызов api, получает бэкенд аккаунта и access токен.
+ * @param {Object} options
+ * @param {boolean} options.retryUnauthorized Повторять ли вызов после 401. Выключается для
+ * эндпоинтов, где 401 означает неверный пароль или код: повтор лишь сжёг бы ещё одну попытку.
+ * @returns {Promise<*>}
+ */
+async function withAccess(uuid, call, { retryUnauthorized = true } = {}){
+    let acc = ConfigManager.getAuthAccount(uuid)
+    if(acc == null || acc.type !== 'custom'){
+        throw new Error(`No custom account with uuid ${uuid}.`)
+    }
+    const expiresAt = acc.expiresAt ?? tokenExpiry(acc.accessToken)
+    if(expiresAt != null && expiresAt - Date.now() <= REFRESH_MARGIN && await refreshAccount(acc) === ACCESS_STATUS.VALID){
+        acc = ConfigManager.getAuthAccount(uuid)
+    }
+    try{
+        return await call(accountAuthAPI(acc), acc.accessToken)
+    }catch(err){
+        if(!retryUnauthorized || err.status !== 401 || await refreshAccount(acc) !== ACCESS_STATUS.VALID){
+            throw err
+        }
+        return call(accountAuthAPI(acc), ConfigManager.getAuthAccount(uuid).accessToken)
+    }
+}
+
+/**
+ * Список активных сессий аккаунта (устройство, IP, последнее использование).
+ * @param {string} uuid
+ * @returns {Promise<Array<{id: string, device: string, ip: string, lastUsed: string, current: boolean}>>}
+ */
+exports.getSessions = async function(uuid){
+    try{
+        const res = await withAccess(uuid, apiSessions)
+        return res?.sessions ?? res ?? []
+    }catch(err){
+        log.error('Unable to load sessions:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Отозвать одну сессию аккаунта.
+ * @param {string} uuid
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+exports.revokeSession = async function(uuid, sessionId){
+    try{
+        await withAccess(uuid, (base, access) => apiRevokeSession(base, access, sessionId))
+    }catch(err){
+        log.error('Unable to revoke session:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Выйти со всех устройств. Текущая сессия тоже отзывается, поэтому аккаунт
+ * удаляется и локально.
+ * @param {string} uuid
+ * @returns {Promise<void>}
+ */
+exports.logoutEverywhere = async function(uuid){
+    try{
+        await withAccess(uuid, apiLogoutAll)
+    }catch(err){
+        log.error('Unable to log out everywhere:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+    ConfigManager.removeAuthAccount(uuid)
+    ConfigManager.scheduleSave()
+    scheduleRefresh()
+}
+
+/**
+ * Сменить пароль аккаунта. Если бэкенд в ответ выдал новые токены
+ * (например, отозвав старые сессии) — сохраняем их.
+ * @param {string} uuid
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ */
+exports.changePassword = async function(uuid, currentPassword, newPassword){
+    if(!currentPassword || !newPassword){
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    try{
+        const res = await withAccess(uuid, (base, access) => apiChangePassword(base, access, currentPassword, newPassword), { retryUnauthorized: false })
+        if(res?.access){
+            ConfigManager.updateCustomAuthAccount(uuid, res.access, res.refresh || undefined, tokenExpiry(res.access))
+            ConfigManager.save()
+            scheduleRefresh()
+        }
+    }catch(err){
+        log.error('Password change failed:', err.message)
+        // 401/403 здесь означает неверный текущий пароль, а не логин.
+        if(err.code == null && (err.status === 401 || err.status === 403)){
+            err.code = 'wrong_password'
+        }
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Запросить код для сброса пароля на почту аккаунта.
+ * @param {string} login Ник или email.
+ * @returns {Promise<void>}
+ */
+exports.requestPasswordReset = async function(login){
+    if(!login){
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    try{
+        await apiForgotPassword(login.trim())
+    }catch(err){
+        log.error('Password reset request failed:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Сбросить пароль по коду из письма.
+ * @param {string} login Ник или email.
+ * @param {string} code Код из письма.
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ */
+exports.resetPassword = async function(login, code, newPassword){
+    if(!login || !code || !newPassword){
+        return Promise.reject(customErrorDisplayable({ code: 'missing_fields' }))
+    }
+    try{
+        await apiResetPassword(login.trim(), code.trim(), newPassword)
+    }catch(err){
+        log.error('Password reset failed:', err.message)
+        // Неверный код бэкенд может вернуть просто статусом.
+        if(err.code == null && (err.status === 400 || err.status === 401 || err.status === 403)){
+            err.code = 'invalid_code'
+        }
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Включён ли второй фактор у аккаунта.
+ * @param {string} uuid
  * @returns {Promise<boolean>}
  */
+exports.getTwoFactorStatus = async function(uuid){
+    try{
+        const me = await withAccess(uuid, apiMe)
+        return Boolean((me?.user ?? me)?.twoFactorEnabled)
+    }catch(err){
+        log.error('Unable to load 2FA status:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Начать подключение второго фактора. Бэкенд выдаёт секрет, который
+ * пользователь добавляет в приложение-аутентификатор.
+ * @param {string} uuid
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+exports.setupTwoFactor = async function(uuid){
+    try{
+        return await withAccess(uuid, apiSetupTwoFactor)
+    }catch(err){
+        log.error('Unable to set up 2FA:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Подтвердить подключение второго фактора первым кодом.
+ * @param {string} uuid
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+exports.enableTwoFactor = async function(uuid, code){
+    try{
+        await withAccess(uuid, (base, access) => apiEnableTwoFactor(base, access, code.trim()), { retryUnauthorized: false })
+    }catch(err){
+        log.error('Unable to enable 2FA:', err.message)
+        // Токен обновлён заранее, так что 401/403 здесь означает неверный код.
+        if(err.code == null && (err.status === 400 || err.status === 401 || err.status === 403)){
+            err.code = 'invalid_totp'
+        }
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Отключить второй фактор (нужен текущий код).
+ * @param {string} uuid
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+exports.disableTwoFactor = async function(uuid, code){
+    try{
+        await withAccess(uuid, (base, access) => apiDisableTwoFactor(base, access, code.trim()), { retryUnauthorized: false })
+    }catch(err){
+        log.error('Unable to disable 2FA:', err.message)
+        // Токен обновлён заранее, так что 401/403 здесь означает неверный код.
+        if(err.code == null && (err.status === 400 || err.status === 401 || err.status === 403)){
+            err.code = 'invalid_totp'
+        }
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Текстуры аккаунта, сохранённые при последнем обращении к бэкенду.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @returns {{skin: {url: string, model: string}|null, cape: {url: string}|null}}
+ */
+exports.getTextures = function(acc){
+    return {
+        skin: acc?.textures?.skin ?? null,
+        cape: acc?.textures?.cape ?? null
+    }
+}
+
+/**
+ * Загрузить текстуры аккаунта с бэкенда (например, чтобы показать превью).
+ * @param {string} uuid
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>}
+ */
+exports.loadTextures = async function(uuid){
+    try{
+        return await changeTextures(uuid, apiMe)
+    }catch(err){
+        log.error('Unable to load textures:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Вызвать эндпоинт текстур и сохранить текстуры из ответа.
+ * @param {string} uuid
+ * @param {function(string, string): Promise<*>} call Вызов api, как в withAccess.
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>}
+ */
+async function changeTextures(uuid, call){
+    const base = accountAuthAPI(ConfigManager.getAuthAccount(uuid))
+    const res = await withAccess(uuid, call)
+    if(storeTextures(uuid, base, res) == null && call !== apiMe){
+        // Бэкенд не прислал текстуры — спросим их у /me.
+        storeTextures(uuid, base, await withAccess(uuid, apiMe))
+    }
+    return exports.getTextures(ConfigManager.getAuthAccount(uuid))
+}
+
+/**
+ * Загрузить скин. Файл проверяется до отправки: PNG 64x64 или 64x32
+ * (slim бывает только у 64x64).
+ * @param {string} uuid
+ * @param {Buffer} image Содержимое PNG файла.
+ * @param {string} model Один из SKIN_MODEL.
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>} Новые текстуры аккаунта.
+ */
+exports.uploadSkin = async function(uuid, image, model = SKIN_MODEL.CLASSIC){
+    let code = checkTexture(image, SKIN_SIZES, 'invalid_skin')
+    if(code == null && model === SKIN_MODEL.SLIM && pngSize(image).height !== 64){
+        log.warn('Rejected slim skin in the legacy 64x32 format.')
+        code = 'invalid_skin'
+    }
+    if(code != null){
+        return Promise.reject(customErrorDisplayable({ code }))
+    }
+    try{
+        return await changeTextures(uuid, (base, access) => apiSetSkin(base, access, image, model))
+    }catch(err){
+        log.error('Unable to upload skin:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Сменить модель рук у уже загруженного скина.
+ * @param {string} uuid
+ * @param {string} model Один из SKIN_MODEL.
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>} Новые текстуры аккаунта.
+ */
+exports.setSkinModel = async function(uuid, model){
+    try{
+        return await changeTextures(uuid, (base, access) => apiSetSkin(base, access, null, model))
+    }catch(err){
+        log.error('Unable to change skin model:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Удалить скин — игроку вернётся стандартный.
+ * @param {string} uuid
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>} Новые текстуры аккаунта.
+ */
+exports.removeSkin = async function(uuid){
+    try{
+        return await changeTextures(uuid, apiRemoveSkin)
+    }catch(err){
+        log.error('Unable to remove skin:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Загрузить плащ (PNG 64x32).
+ * @param {string} uuid
+ * @param {Buffer} image Содержимое PNG файла.
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>} Новые текстуры аккаунта.
+ */
+exports.uploadCape = async function(uuid, image){
+    const code = checkTexture(image, CAPE_SIZES, 'invalid_cape')
+    if(code != null){
+        return Promise.reject(customErrorDisplayable({ code }))
+    }
+    try{
+        return await changeTextures(uuid, (base, access) => apiSetCape(base, access, image))
+    }catch(err){
+        log.error('Unable to upload cape:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Удалить плащ.
+ * @param {string} uuid
+ * @returns {Promise<{skin: Object|null, cape: Object|null}>} Новые текстуры аккаунта.
+ */
+exports.removeCape = async function(uuid){
+    try{
+        return await changeTextures(uuid, apiRemoveCape)
+    }catch(err){
+        log.error('Unable to remove cape:', err.message)
+        return Promise.reject(customErrorDisplayable(err))
+    }
+}
+
+/**
+ * Проверить, что по адресу отвечает наш бэкенд: дёргаем /api/auth/me без токена.
+ * 401/403 (или 200) — эндпоинт есть, значит бэкенд живой; 404 — по адресу что-то
+ * другое. Функция не бросает — результат возвращается отчётом.
+ * @param {string} url Базовый адрес бэкенда.
+ * @returns {Promise<{ok: boolean, latency: number, status: number, error: string|null}>}
+ * status — HTTP статус ответа (0, если бэкенд недоступен).
+ */
+exports.testConnection = async function(url){
+    const start = Date.now()
+    let status = 200
+    let error = null
+    try{
+        // Без повторов — нужно измерить один запрос.
+        await api(normalizeAuthAPI(url), '/api/auth/me', 'GET', null, null, { retries: 0 })
+    }catch(err){
+        status = err.status
+        error = err.message
+    }
+    const latency = Date.now() - start
+    const ok = status === 200 || status === 401 || status === 403
+    if(!ok){
+        log.warn(`Auth API ${url} failed the connection test:`, error)
+    }
+    return { ok, latency, status, error: ok ? null : error }
+}
+
+/**
+ * Валидировать выбранный аккаунт. Если access протух — обновить.
+ * @returns {Promise<string>} Один из AccessStatus.
+ */
 exports.validateSelected = async function(){
     return ensureSelectedAccess()
 }
 
+/**
+ * Подготовить выбранный аккаунт к запуску игры: access токен должен
+ * пережить загрузку клиента, поэтому обновляем его с большим запасом.
+ * @returns {Promise<string>} Один из AccessStatus.
+ */
+exports.ensureLaunchAccess = async function(){
+    return ensureSelectedAccess(LAUNCH_MIN_VALIDITY)
+}
+
+/**
+ * Данные для оффлайн запуска: последний известный ник и UUID аккаунта.
+ * Токены бэкенда в игру не передаём, authlib-injector не подключается.
+ * @param {Object} acc Аккаунт из ConfigManager.
+ * @returns {Object} Пользователь для ProcessBuilder.
+ */
+exports.getOfflineUser = function(acc){
+    return {
+        type: 'offline',
+        accessToken: 'offline',
+        uuid: acc.uuid,
+        displayName: acc.displayName
+    }
+}
+
+/**
+ * Запустить (или перезапустить) фоновое обновление токенов.
+ */
+exports.scheduleRefresh = scheduleRefresh
+
 // ---------------------------------------------------------------------------
 // Ниже — совместимостьные заглушки для старого кода (если где-то ещё дергаются
 // Mojang/Microsoft методы, чтобы билд не падал). Можно удалить, если UI переписан.
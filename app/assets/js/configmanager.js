@@ -11,6 +11,11 @@ const sysRoot = process.env.APPDATA || (process.platform == 'darwin'
 
 const dataPath    = path.join(sysRoot, '.helioslauncher')
 const launcherDir = require('@electron/remote').app.getPath('userData')
+const { safeStorage } = require('@electron/remote')
+
+// Prefix of token values encrypted with safeStorage.
+const ENCRYPTED_PREFIX = 'safe:'
+let warnedPlainTokens = false
 
 /**
  * Retrieve the absolute path of the launcher directory.
@@ -38,12 +43,18 @@ exports.getDataDirectory = function(def = false){
  */
 exports.setDataDirectory = function(dataDirectory){
     config.settings.launcher.dataDirectory = dataDirectory
+    notifyChange('settings.launcher.dataDirectory')
 }
 
 const configPath       = path.join(exports.getLauncherDirectory(), 'config.json')
 const configPathLEGACY = path.join(dataPath, 'config.json')
+const configPathCORRUPT = path.join(exports.getLauncherDirectory(), 'config.corrupt.json')
+const configBackupDir  = path.join(exports.getLauncherDirectory(), 'configbackups')
 const firstLaunch      = !fs.existsSync(configPath) && !fs.existsSync(configPathLEGACY)
 
+// Number of rotating backups of the configuration, one is taken on each load.
+const CONFIG_BACKUP_COUNT = 5
+
 /**
  * Absolute min/max RAM helpers (for sliders/UI).
  */
@@ -71,6 +82,71 @@ function resolveSelectedRAM(ram) {
     }
 }
 
+// ------------------------------ Migrations ------------------------------
+
+/**
+ * Ordered migrations of the configuration schema. A configuration at version
+ * N has every migration up to N applied, configurations written before the
+ * schema was versioned are at version 0. To change the format, append a
+ * migration here; never edit or reorder the published ones.
+ * 
+ * Migrations run after missing keys have been backfilled from the defaults.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Set the Auth API URL',
+        migrate: config => {
+            if(!config.settings.launcher.authAPI){
+                config.settings.launcher.authAPI = DEFAULT_CONFIG.settings.launcher.authAPI
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Remove Mojang and Microsoft accounts',
+        migrate: config => {
+            for(const [uuid, acc] of Object.entries(config.authenticationDatabase)){
+                if(acc.type !== 'custom'){
+                    logger.info(`Removing ${acc.type} account ${acc.displayName}.`)
+                    delete config.authenticationDatabase[uuid]
+                }
+            }
+            if(config.authenticationDatabase[config.selectedAccount] == null){
+                config.selectedAccount = Object.keys(config.authenticationDatabase)[0] ?? null
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Encrypt stored tokens',
+        // Tokens kept in plain text because encryption is unavailable are
+        // encrypted by the first save once it is, see encryptStoredTokens.
+        migrate: config => {
+            for(const acc of Object.values(config.authenticationDatabase)){
+                acc.accessToken = encryptToken(acc.accessToken)
+                acc.refreshToken = encryptToken(acc.refreshToken)
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Tag accounts with their auth backend',
+        // Accounts stored before backends could be declared per server were
+        // obtained on the launcher Auth API.
+        migrate: config => {
+            for(const acc of Object.values(config.authenticationDatabase)){
+                if(!acc.authAPI){
+                    acc.authAPI = config.settings.launcher.authAPI
+                }
+            }
+        }
+    }
+]
+
+// Current version of the configuration schema.
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
 /**
  * Three types of values:
  * Static = Explicitly declared.
@@ -78,6 +154,7 @@ function resolveSelectedRAM(ram) {
  * Resolved = Resolved externally, defaults to null.
  */
 const DEFAULT_CONFIG = {
+    configVersion: CONFIG_VERSION,
     settings: {
         game: {
             resWidth: 1280,
@@ -90,7 +167,10 @@ const DEFAULT_CONFIG = {
             allowPrerelease: false,
             dataDirectory: dataPath,
             // Базовый URL твоего auth API (можно изменить через setAuthAPI)
-            authAPI: 'http://localhost:5000'
+            authAPI: 'http://localhost:5000',
+            // Таймаут одного запроса к auth API (мс) и число повторов при временных сбоях.
+            authTimeout: 10000,
+            authRetries: 2
         }
     },
     newsCache: {
@@ -101,21 +181,215 @@ const DEFAULT_CONFIG = {
     clientToken: null,
     selectedServer: null, // Resolved
     selectedAccount: null,
+    // Starred servers: { [serverId]: {notify} }, notify to be told when the server comes back online.
+    favoriteServers: {},
     // Только кастомные аккаунты: { [uuid]: {type:'custom', uuid, displayName, accessToken?, refreshToken?} }
     authenticationDatabase: {},
     modConfigurations: [],
-    javaConfig: {}
+    javaConfig: {},
+    // Game settings overridden per server: { [serverId]: {resWidth?, resHeight?, fullscreen?, autoConnect?, launchDetached?} }
+    gameOverrides: {}
 }
 
 let config = null
+// Set when the configuration file was corrupt on load, see getConfigRecovery.
+let configRecovery = null
+
+// Delay of scheduleSave, changes made meanwhile are written together.
+const SAVE_DELAY = 500
+let saveTimer = null
+// Promise of the scheduled save, with its callbacks.
+let pendingSave = null
+// Incremented on each write, so a slow asynchronous write never replaces a newer one.
+let writeCount = 0
+// Promise of the last asynchronous write.
+let asyncWrite = Promise.resolve()
 
 // ------------------------------ Persistence ------------------------------
 
 /**
- * Save the current configuration to a file.
+ * Write a file atomically. The data is written to a temporary file which
+ * then replaces the target, so a crash never leaves a partial file behind.
+ * 
+ * @param {string} file The path of the file.
+ * @param {string} data The content of the file.
+ */
+function writeFileAtomic(file, data){
+    const tmpFile = `${file}.tmp`
+    const fd = fs.openSync(tmpFile, 'w')
+    try {
+        fs.writeFileSync(fd, data, 'UTF-8')
+        fs.fsyncSync(fd)
+    } finally {
+        fs.closeSync(fd)
+    }
+    fs.renameSync(tmpFile, file)
+}
+
+/**
+ * Read and parse a configuration file.
+ * 
+ * @param {string} file The path of the file.
+ * @returns {Object} The configuration.
+ * @throws If the file cannot be read or does not hold a configuration object.
+ */
+function readConfigFile(file){
+    const data = JSON.parse(fs.readFileSync(file, 'UTF-8'))
+    if(data == null || typeof data !== 'object' || Array.isArray(data)){
+        throw new Error(`${file} does not contain a configuration object.`)
+    }
+    return data
+}
+
+/**
+ * @param {number} index The index of the backup, 1 being the newest.
+ * @returns {string} The path of the configuration backup.
+ */
+function configBackupPath(index){
+    return path.join(configBackupDir, `config.${index}.json`)
+}
+
+/**
+ * Back up the configuration file, dropping the oldest backup.
+ */
+function backupConfig(){
+    try {
+        fs.ensureDirSync(configBackupDir)
+        for(let i=CONFIG_BACKUP_COUNT-1; i>0; i--){
+            if(fs.existsSync(configBackupPath(i))){
+                fs.moveSync(configBackupPath(i), configBackupPath(i+1), { overwrite: true })
+            }
+        }
+        fs.copySync(configPath, configBackupPath(1))
+    } catch (err){
+        logger.warn('Unable to back up the configuration file.', err)
+    }
+}
+
+/**
+ * Restore the newest valid backup over a corrupt configuration file.
+ * The corrupt file is kept aside so it can be inspected.
+ * 
+ * @returns {Object|null} The restored configuration, or null if no backup is valid.
+ */
+function restoreConfigBackup(){
+    fs.moveSync(configPath, configPathCORRUPT, { overwrite: true })
+    logger.info(`Moved the corrupt configuration file to ${configPathCORRUPT}.`)
+    for(let i=1; i<=CONFIG_BACKUP_COUNT; i++){
+        const backup = configBackupPath(i)
+        if(!fs.existsSync(backup)){
+            continue
+        }
+        try {
+            const restored = readConfigFile(backup)
+            fs.copySync(backup, configPath)
+            configRecovery = {
+                backupDate: fs.statSync(backup).mtime,
+                corruptFile: configPathCORRUPT
+            }
+            logger.info(`Restored the configuration from ${backup}.`)
+            return restored
+        } catch (err){
+            logger.warn(`Configuration backup ${backup} is not valid.`, err)
+        }
+    }
+    configRecovery = {
+        backupDate: null,
+        corruptFile: configPathCORRUPT
+    }
+    return null
+}
+
+/**
+ * Get what happened to a configuration file found corrupt on load, so the
+ * user can be told.
+ * 
+ * @returns {{backupDate: Date|null, corruptFile: string}|null} The date of the
+ * backup the configuration was restored from, null if it was reset to the
+ * defaults, and the path the corrupt file was moved to. Null if the
+ * configuration loaded normally.
+ */
+exports.getConfigRecovery = function(){
+    return configRecovery
+}
+
+/**
+ * Save the current configuration to a file. This also writes any change
+ * waiting for a scheduled save.
  */
 exports.save = function(){
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 4), 'UTF-8')
+    clearTimeout(saveTimer)
+    saveTimer = null
+    writeCount++
+    encryptStoredTokens()
+    writeFileAtomic(configPath, JSON.stringify(config, null, 4))
+    if(pendingSave != null){
+        pendingSave.resolve()
+        pendingSave = null
+    }
+}
+
+/**
+ * Save the current configuration to a file, shortly and asynchronously.
+ * Calls made before the save happens are merged into a single write.
+ * 
+ * @returns {Promise.<void>} A promise which resolves once the changes are written.
+ */
+exports.scheduleSave = function(){
+    if(pendingSave == null){
+        pendingSave = {}
+        pendingSave.promise = new Promise((resolve, reject) => {
+            pendingSave.resolve = resolve
+            pendingSave.reject = reject
+        })
+        pendingSave.promise.catch(err => logger.error('Unable to save the configuration file.', err))
+    }
+    clearTimeout(saveTimer)
+    saveTimer = setTimeout(writeScheduledSave, SAVE_DELAY)
+    return pendingSave.promise
+}
+
+/**
+ * Write a pending scheduled save right away. Use before the launcher
+ * exits, changes waiting to be written would be lost otherwise.
+ */
+exports.flushSave = function(){
+    if(pendingSave != null){
+        exports.save()
+    }
+}
+
+/**
+ * Write the configuration for the pending scheduled save. Like save, the
+ * data goes to a temporary file which then replaces the configuration,
+ * unless a newer write happened meanwhile.
+ */
+function writeScheduledSave(){
+    const { resolve, reject } = pendingSave
+    pendingSave = null
+    saveTimer = null
+    const count = ++writeCount
+    encryptStoredTokens()
+    const data = JSON.stringify(config, null, 4)
+    const tmpFile = `${configPath}.async.tmp`
+    asyncWrite = asyncWrite.then(async () => {
+        const handle = await fs.promises.open(tmpFile, 'w')
+        try {
+            await handle.writeFile(data, 'UTF-8')
+            await handle.sync()
+        } finally {
+            await handle.close()
+        }
+        // Renamed synchronously, so no other write can happen between the check and the rename.
+        if(count === writeCount){
+            fs.renameSync(tmpFile, configPath)
+        } else {
+            await fs.remove(tmpFile)
+        }
+    })
+    asyncWrite.then(resolve, reject)
+    // Keep the chain going after a failed write.
+    asyncWrite = asyncWrite.catch(() => {})
 }
 
 /**
@@ -141,26 +415,69 @@ exports.load = function(){
     if(doLoad){
         let doValidate = false
         try {
-            config = JSON.parse(fs.readFileSync(configPath, 'UTF-8'))
+            config = readConfigFile(configPath)
             doValidate = true
+            backupConfig()
         } catch (err){
             logger.error(err)
             logger.info('Configuration file contains malformed JSON or is corrupt.')
-            logger.info('Generating a new configuration file.')
-            fs.ensureDirSync(path.join(configPath, '..'))
-            config = DEFAULT_CONFIG
-            exports.save()
+            config = restoreConfigBackup()
+            if(config != null){
+                doValidate = true
+            } else {
+                logger.info('No valid backup found, generating a new configuration file.')
+                config = DEFAULT_CONFIG
+                exports.save()
+            }
         }
         if(doValidate){
+            // Read before validation, which would backfill the current version.
+            const version = Number.isInteger(config.configVersion) ? config.configVersion : 0
             config = validateKeySet(DEFAULT_CONFIG, config)
-            // Миграция: убедимся, что есть поле authAPI
-            if(!config?.settings?.launcher?.authAPI){
-                config.settings.launcher.authAPI = DEFAULT_CONFIG.settings.launcher.authAPI
-            }
+            config.configVersion = version
+            migrateConfig()
             exports.save()
         }
     }
     logger.info('Successfully Loaded')
+    notifyChange('')
+}
+
+/**
+ * Apply the migrations the loaded configuration is missing. The file is
+ * backed up first, so the configuration can be restored for an older
+ * version of the launcher.
+ * 
+ * A configuration written by a newer version of the launcher is left as
+ * is, its unknown fields are kept.
+ */
+function migrateConfig(){
+    const version = config.configVersion
+    if(version > CONFIG_VERSION){
+        logger.warn(`Configuration version ${version} is newer than the supported version ${CONFIG_VERSION}, skipping migrations.`)
+        return
+    }
+    const pending = MIGRATIONS.filter(migration => migration.version > version)
+    if(pending.length === 0){
+        return
+    }
+
+    const backupPath = path.join(exports.getLauncherDirectory(), `config.v${version}.bak.json`)
+    fs.copySync(configPath, backupPath)
+    logger.info(`Backed up configuration version ${version} to ${backupPath}.`)
+
+    for(const migration of pending){
+        logger.info(`Migrating configuration to version ${migration.version}: ${migration.description}.`)
+        try {
+            migration.migrate(config)
+        } catch (err){
+            // Later migrations may depend on this one, stop at the last good version.
+            logger.error(`Configuration migration to version ${migration.version} failed.`, err)
+            return
+        }
+        config.configVersion = migration.version
+    }
+    logger.info(`Configuration migrated from version ${version} to ${config.configVersion}.`)
 }
 
 /**
@@ -194,6 +511,81 @@ function validateKeySet(srcObj, destObj){
     return destObj
 }
 
+// ------------------------------ Change Events ------------------------------
+
+// Subscribed key path -> Set of subscriptions, as {listener, snapshot}.
+const subscriptions = new Map()
+
+/**
+ * @param {string} keyPath A dot separated key path, empty for the whole configuration.
+ * @returns {*} The configuration value at the key path, or undefined.
+ */
+function getKeyPath(keyPath){
+    if(keyPath === ''){
+        return config
+    }
+    return keyPath.split('.').reduce((obj, key) => obj?.[key], config)
+}
+
+/**
+ * Subscribe to changes of a configuration value. The listener is called
+ * after a setter changed the value or any value nested in it, and when
+ * the configuration is loaded. Setting a value to an equal one does not
+ * call it.
+ * 
+ * Entries of maps keyed by ID (accounts, favorite servers, mod and java
+ * configurations) are reported on the path of the map.
+ * 
+ * @param {string} keyPath The dot separated path of the value, e.g. 'settings.game.resWidth'.
+ * @param {function(*, *): void} listener Called with copies of the new and the previous value.
+ * @returns {function(): void} A function which cancels the subscription.
+ */
+exports.subscribe = function(keyPath, listener){
+    const subscription = { listener, snapshot: JSON.stringify(getKeyPath(keyPath)) }
+    if(!subscriptions.has(keyPath)){
+        subscriptions.set(keyPath, new Set())
+    }
+    subscriptions.get(keyPath).add(subscription)
+    return () => {
+        subscriptions.get(keyPath)?.delete(subscription)
+    }
+}
+
+/**
+ * Call the listeners of the values which may have changed along with the
+ * value at a key path: the value itself, its parents and its children.
+ * 
+ * @param {string} keyPath The dot separated path of the changed value, empty
+ * for the whole configuration.
+ */
+function notifyChange(keyPath){
+    for(const [subscribedPath, pathSubscriptions] of subscriptions){
+        const related = keyPath === ''
+            || subscribedPath === keyPath
+            || subscribedPath === ''
+            || keyPath.startsWith(`${subscribedPath}.`)
+            || subscribedPath.startsWith(`${keyPath}.`)
+        if(!related){
+            continue
+        }
+        const snapshot = JSON.stringify(getKeyPath(subscribedPath))
+        for(const subscription of [...pathSubscriptions]){
+            if(subscription.snapshot === snapshot){
+                continue
+            }
+            // Listeners get copies, changes only apply through the setters.
+            const value = snapshot != null ? JSON.parse(snapshot) : undefined
+            const previous = subscription.snapshot != null ? JSON.parse(subscription.snapshot) : undefined
+            subscription.snapshot = snapshot
+            try {
+                subscription.listener(value, previous)
+            } catch (err){
+                logger.error(`Listener of ${subscribedPath} failed.`, err)
+            }
+        }
+    }
+}
+
 // ------------------------------ App State ------------------------------
 
 /**
@@ -224,10 +616,12 @@ exports.getNewsCache = function(){
 
 exports.setNewsCache = function(newsCache){
     config.newsCache = newsCache
+    notifyChange('newsCache')
 }
 
 exports.setNewsCacheDismissed = function(dismissed){
     config.newsCache.dismissed = dismissed
+    notifyChange('newsCache.dismissed')
 }
 
 // ------------------------------ Paths ------------------------------
@@ -248,6 +642,7 @@ exports.getClientToken = function(){
 
 exports.setClientToken = function(clientToken){
     config.clientToken = clientToken
+    notifyChange('clientToken')
 }
 
 /**
@@ -267,16 +662,155 @@ exports.getSelectedServer = function(def = false){
  */
 exports.setSelectedServer = function(serverID){
     config.selectedServer = serverID
+    notifyChange('selectedServer')
+}
+
+// ------------------------------ Favorite Servers ------------------------------
+
+/**
+ * Get the IDs of the servers starred by the user.
+ * 
+ * @returns {Array.<string>} The IDs of the favorite servers.
+ */
+exports.getFavoriteServers = function(){
+    return Object.keys(config.favoriteServers)
+}
+
+/**
+ * Check if a server is starred by the user.
+ * 
+ * @param {string} serverID The ID of the server.
+ * @returns {boolean} Whether or not the server is a favorite.
+ */
+exports.isFavoriteServer = function(serverID){
+    return config.favoriteServers[serverID] != null
+}
+
+/**
+ * Star or unstar a server. Unstarring a server also disables its
+ * notifications.
+ * 
+ * @param {string} serverID The ID of the server.
+ * @param {boolean} favorite Whether or not the server is a favorite.
+ */
+exports.setFavoriteServer = function(serverID, favorite){
+    if(!favorite){
+        delete config.favoriteServers[serverID]
+    } else if(config.favoriteServers[serverID] == null){
+        config.favoriteServers[serverID] = { notify: false }
+    }
+    notifyChange('favoriteServers')
+}
+
+/**
+ * Check if the user wants to be notified when a server comes back online.
+ * 
+ * @param {string} serverID The ID of the server.
+ * @returns {boolean} Whether or not notifications are enabled for the server.
+ */
+exports.getServerNotify = function(serverID){
+    return config.favoriteServers[serverID]?.notify === true
+}
+
+/**
+ * Enable or disable the notification sent when a server comes back online.
+ * Only favorite servers can be notified about, enabling the notification
+ * stars the server.
+ * 
+ * @param {string} serverID The ID of the server.
+ * @param {boolean} notify Whether or not to notify the user.
+ */
+exports.setServerNotify = function(serverID, notify){
+    exports.setFavoriteServer(serverID, true)
+    config.favoriteServers[serverID].notify = notify
+    notifyChange('favoriteServers')
 }
 
 // ------------------------------ AUTH (Custom Only) ------------------------------
 
+/**
+ * Encrypt a token with the key held by the OS secret store. Values that are
+ * already encrypted are returned as is. If encryption is not available on
+ * this system, the token is stored in plain text.
+ * 
+ * @param {string|null} token The token to encrypt.
+ * @returns {string|null} The encrypted token.
+ */
+function encryptToken(token){
+    if(!token || token.startsWith(ENCRYPTED_PREFIX)){
+        return token || null
+    }
+    if(!safeStorage.isEncryptionAvailable()){
+        if(!warnedPlainTokens){
+            logger.warn('Secure storage is not available, tokens will be stored in plain text.')
+            warnedPlainTokens = true
+        }
+        return token
+    }
+    return ENCRYPTED_PREFIX + safeStorage.encryptString(token).toString('base64')
+}
+
+/**
+ * Encrypt the tokens of the stored accounts still in plain text, which
+ * happens when they were saved while encryption was not available.
+ * Called before each write, so they do not stay in plain text once it is.
+ */
+function encryptStoredTokens(){
+    if(!safeStorage.isEncryptionAvailable()){
+        return
+    }
+    for(const acc of Object.values(config.authenticationDatabase)){
+        acc.accessToken = encryptToken(acc.accessToken)
+        acc.refreshToken = encryptToken(acc.refreshToken)
+    }
+}
+
+/**
+ * Decrypt a token encrypted with {@link encryptToken}. Plain text values are
+ * returned as is.
+ * 
+ * @param {string|null} token The stored token.
+ * @returns {string|null} The decrypted token, or null if it cannot be decrypted.
+ */
+function decryptToken(token){
+    if(!token || !token.startsWith(ENCRYPTED_PREFIX)){
+        return token || null
+    }
+    try {
+        return safeStorage.decryptString(Buffer.from(token.substring(ENCRYPTED_PREFIX.length), 'base64'))
+    } catch (err){
+        logger.warn('Unable to decrypt a stored token, the account will need to log in again.', err)
+        return null
+    }
+}
+
+/**
+ * Copy of a stored account with its tokens decrypted.
+ * 
+ * @param {Object|undefined} acc The stored account.
+ * @returns {Object|undefined}
+ */
+function decryptAccount(acc){
+    if(acc == null){
+        return acc
+    }
+    return {
+        ...structuredClone(acc),
+        accessToken: decryptToken(acc.accessToken),
+        refreshToken: decryptToken(acc.refreshToken)
+    }
+}
+
 /**
  * Get all stored accounts.
  * @returns {Object<string, Object>}
  */
 exports.getAuthAccounts = function(){
-    return config.authenticationDatabase
+    const accounts = {}
+    for(const [uuid, acc] of Object.entries(config.authenticationDatabase)){
+        accounts[uuid] = decryptAccount(acc)
+    }
+    return accounts
 }
 
 /**
@@ -285,7 +819,7 @@ exports.getAuthAccounts = function(){
  * @returns {Object|undefined}
  */
 exports.getAuthAccount = function(uuid){
-    return config.authenticationDatabase[uuid]
+    return decryptAccount(config.authenticationDatabase[uuid])
 }
 
 /**
@@ -295,18 +829,25 @@ exports.getAuthAccount = function(uuid){
  * @param {string|null} accessToken JWT access (может быть null).
  * @param {string|null} refreshToken JWT refresh (может быть null).
  * @param {string} displayName Ник игрока.
+ * @param {number|null} expiresAt Время истечения access токена (мс, epoch), если известно.
+ * @param {string|null} authAPI Base URL of the backend the account was obtained from.
+ * Defaults to the launcher Auth API.
  * @returns {Object} Stored account object.
  */
-exports.addCustomAuthAccount = function(uuid, accessToken, refreshToken, displayName){
+exports.addCustomAuthAccount = function(uuid, accessToken, refreshToken, displayName, expiresAt = null, authAPI = null){
     config.selectedAccount = uuid
     config.authenticationDatabase[uuid] = {
         type: 'custom',
-        accessToken: accessToken || null,
-        refreshToken: refreshToken || null,
+        accessToken: encryptToken(accessToken),
+        refreshToken: encryptToken(refreshToken),
+        expiresAt: expiresAt || null,
+        authAPI: authAPI || exports.getAuthAPI(),
         uuid: uuid.trim(),
         displayName: displayName.trim()
     }
-    return config.authenticationDatabase[uuid]
+    notifyChange('authenticationDatabase')
+    notifyChange('selectedAccount')
+    return decryptAccount(config.authenticationDatabase[uuid])
 }
 
 /**
@@ -315,15 +856,56 @@ exports.addCustomAuthAccount = function(uuid, accessToken, refreshToken, display
  * @param {string} uuid
  * @param {string|null|undefined} accessToken
  * @param {string|null|undefined} refreshToken
+ * @param {number|null|undefined} expiresAt
  * @returns {Object|null}
  */
-exports.updateCustomAuthAccount = function(uuid, accessToken, refreshToken){
+exports.updateCustomAuthAccount = function(uuid, accessToken, refreshToken, expiresAt){
     const acc = config.authenticationDatabase[uuid]
     if(!acc) return null
     acc.type = 'custom'
-    if(typeof accessToken  !== 'undefined') acc.accessToken  = accessToken
-    if(typeof refreshToken !== 'undefined') acc.refreshToken = refreshToken
-    return acc
+    if(typeof accessToken  !== 'undefined') acc.accessToken  = encryptToken(accessToken)
+    if(typeof refreshToken !== 'undefined') acc.refreshToken = encryptToken(refreshToken)
+    if(typeof expiresAt    !== 'undefined') acc.expiresAt    = expiresAt
+    notifyChange('authenticationDatabase')
+    return decryptAccount(acc)
+}
+
+/**
+ * Store the skin and cape of a custom account, as last reported by its
+ * backend.
+ *
+ * @param {string} uuid
+ * @param {{skin: {url: string, model: string}|null, cape: {url: string}|null}} textures
+ * @returns {Object|null}
+ */
+exports.setAuthAccountTextures = function(uuid, textures){
+    const acc = config.authenticationDatabase[uuid]
+    if(!acc) return null
+    acc.textures = textures
+    notifyChange('authenticationDatabase')
+    return decryptAccount(acc)
+}
+
+/**
+ * Move an account to a new UUID, e.g. when the backend reports a different
+ * identity than the one stored locally. Keeps the selection on the account.
+ * 
+ * @param {string} oldUUID The UUID the account is currently stored under.
+ * @param {string} newUUID The UUID to store the account under.
+ * @returns {Object|null} The migrated account, or null if it does not exist.
+ */
+exports.migrateAuthAccount = function(oldUUID, newUUID){
+    const acc = config.authenticationDatabase[oldUUID]
+    if(!acc) return null
+    delete config.authenticationDatabase[oldUUID]
+    acc.uuid = newUUID
+    config.authenticationDatabase[newUUID] = acc
+    if(config.selectedAccount === oldUUID){
+        config.selectedAccount = newUUID
+    }
+    notifyChange('authenticationDatabase')
+    notifyChange('selectedAccount')
+    return decryptAccount(acc)
 }
 
 /**
@@ -343,6 +925,9 @@ exports.removeAuthAccount = function(uuid){
                 config.clientToken = null
             }
         }
+        notifyChange('authenticationDatabase')
+        notifyChange('selectedAccount')
+        notifyChange('clientToken')
         return true
     }
     return false
@@ -353,7 +938,7 @@ exports.removeAuthAccount = function(uuid){
  * @returns {Object|null}
  */
 exports.getSelectedAccount = function(){
-    return config.authenticationDatabase[config.selectedAccount]
+    return decryptAccount(config.authenticationDatabase[config.selectedAccount])
 }
 
 /**
@@ -372,18 +957,19 @@ exports.setSelectedAccount = function(uuid){
     const authAcc = config.authenticationDatabase[uuid]
     if(authAcc != null){
         config.selectedAccount = uuid
+        notifyChange('selectedAccount')
     }
-    return authAcc || null
+    return decryptAccount(authAcc) || null
 }
 
 // ------------------------------ Mods Config ------------------------------
 
 /**
  * Get the list of mod configurations for servers.
- * @returns {Array<Object>}
+ * @returns {Array<Object>} A copy, changes only apply through setModConfigurations.
  */
 exports.getModConfigurations = function(){
-    return config.modConfigurations
+    return structuredClone(config.modConfigurations)
 }
 
 /**
@@ -392,18 +978,19 @@ exports.getModConfigurations = function(){
  */
 exports.setModConfigurations = function(configurations){
     config.modConfigurations = configurations
+    notifyChange('modConfigurations')
 }
 
 /**
  * Get the mod configuration for a specific server id.
  * @param {string} serverid
- * @returns {Object|null}
+ * @returns {Object|null} A copy, changes only apply through setModConfiguration.
  */
 exports.getModConfiguration = function(serverid){
     const cfgs = config.modConfigurations
     for(let i=0; i<cfgs.length; i++){
         if(cfgs[i].id === serverid){
-            return cfgs[i]
+            return structuredClone(cfgs[i])
         }
     }
     return null
@@ -419,10 +1006,12 @@ exports.setModConfiguration = function(serverid, configuration){
     for(let i=0; i<cfgs.length; i++){
         if(cfgs[i].id === serverid){
             cfgs[i] = configuration
+            notifyChange('modConfigurations')
             return
         }
     }
     cfgs.push(configuration)
+    notifyChange('modConfigurations')
 }
 
 // ------------------------------ Java Settings ------------------------------
@@ -475,6 +1064,7 @@ function defaultJavaConfig17(ram) {
 exports.ensureJavaConfig = function(serverid, effectiveJavaOptions, ram) {
     if(!Object.prototype.hasOwnProperty.call(config.javaConfig, serverid)) {
         config.javaConfig[serverid] = defaultJavaConfig(effectiveJavaOptions, ram)
+        notifyChange('javaConfig')
     }
 }
 
@@ -484,6 +1074,7 @@ exports.getMinRAM = function(serverid){
 
 exports.setMinRAM = function(serverid, minRAM){
     config.javaConfig[serverid].minRAM = minRAM
+    notifyChange('javaConfig')
 }
 
 exports.getMaxRAM = function(serverid){
@@ -492,6 +1083,7 @@ exports.getMaxRAM = function(serverid){
 
 exports.setMaxRAM = function(serverid, maxRAM){
     config.javaConfig[serverid].maxRAM = maxRAM
+    notifyChange('javaConfig')
 }
 
 exports.getJavaExecutable = function(serverid){
@@ -500,14 +1092,16 @@ exports.getJavaExecutable = function(serverid){
 
 exports.setJavaExecutable = function(serverid, executable){
     config.javaConfig[serverid].executable = executable
+    notifyChange('javaConfig')
 }
 
 exports.getJVMOptions = function(serverid){
-    return config.javaConfig[serverid].jvmOptions
+    return [...config.javaConfig[serverid].jvmOptions]
 }
 
 exports.setJVMOptions = function(serverid, jvmOptions){
     config.javaConfig[serverid].jvmOptions = jvmOptions
+    notifyChange('javaConfig')
 }
 
 // ------------------------------ Game Settings ------------------------------
@@ -518,6 +1112,7 @@ exports.getGameWidth = function(def = false){
 
 exports.setGameWidth = function(resWidth){
     config.settings.game.resWidth = Number.parseInt(resWidth)
+    notifyChange('settings.game.resWidth')
 }
 
 exports.validateGameWidth = function(resWidth){
@@ -531,6 +1126,7 @@ exports.getGameHeight = function(def = false){
 
 exports.setGameHeight = function(resHeight){
     config.settings.game.resHeight = Number.parseInt(resHeight)
+    notifyChange('settings.game.resHeight')
 }
 
 exports.validateGameHeight = function(resHeight){
@@ -544,6 +1140,7 @@ exports.getFullscreen = function(def = false){
 
 exports.setFullscreen = function(fullscreen){
     config.settings.game.fullscreen = fullscreen
+    notifyChange('settings.game.fullscreen')
 }
 
 exports.getAutoConnect = function(def = false){
@@ -552,6 +1149,7 @@ exports.getAutoConnect = function(def = false){
 
 exports.setAutoConnect = function(autoConnect){
     config.settings.game.autoConnect = autoConnect
+    notifyChange('settings.game.autoConnect')
 }
 
 exports.getLaunchDetached = function(def = false){
@@ -560,6 +1158,60 @@ exports.getLaunchDetached = function(def = false){
 
 exports.setLaunchDetached = function(launchDetached){
     config.settings.game.launchDetached = launchDetached
+    notifyChange('settings.game.launchDetached')
+}
+
+// Game settings which a server can override.
+const GAME_SETTING_KEYS = ['resWidth', 'resHeight', 'fullscreen', 'autoConnect', 'launchDetached']
+
+/**
+ * Retrieve the game settings overridden for a server. Settings which are
+ * not present are inherited from the global game settings.
+ * 
+ * @param {string} serverid The server id.
+ * @returns {Object} The overridden settings, keyed like settings.game.
+ */
+exports.getGameOverrides = function(serverid){
+    return { ...config.gameOverrides[serverid] }
+}
+
+/**
+ * Replace the game settings overridden for a server. Unknown or undefined
+ * settings are ignored.
+ * 
+ * @param {string} serverid The server id.
+ * @param {Object} overrides The overridden settings, keyed like settings.game.
+ */
+exports.setGameOverrides = function(serverid, overrides){
+    const cleaned = {}
+    for(const key of GAME_SETTING_KEYS){
+        if(overrides[key] !== undefined){
+            cleaned[key] = overrides[key]
+        }
+    }
+    if(Object.keys(cleaned).length > 0){
+        config.gameOverrides[serverid] = cleaned
+    } else {
+        delete config.gameOverrides[serverid]
+    }
+    notifyChange('gameOverrides')
+}
+
+/**
+ * Retrieve the game settings which apply to a server, its overrides
+ * taking precedence over the global game settings.
+ * 
+ * @param {string} serverid The server id.
+ * @returns {{resWidth: number, resHeight: number, fullscreen: boolean, autoConnect: boolean, launchDetached: boolean}}
+ * The effective game settings.
+ */
+exports.getGameSettings = function(serverid){
+    const overrides = config.gameOverrides[serverid] ?? {}
+    const settings = {}
+    for(const key of GAME_SETTING_KEYS){
+        settings[key] = overrides[key] ?? config.settings.game[key]
+    }
+    return settings
 }
 
 // ------------------------------ Launcher Settings ------------------------------
@@ -570,6 +1222,7 @@ exports.getAllowPrerelease = function(def = false){
 
 exports.setAllowPrerelease = function(allowPrerelease){
     config.settings.launcher.allowPrerelease = allowPrerelease
+    notifyChange('settings.launcher.allowPrerelease')
 }
 
 /**
@@ -581,10 +1234,91 @@ exports.getAuthAPI = function(def = false){
     return !def ? config.settings.launcher.authAPI : DEFAULT_CONFIG.settings.launcher.authAPI
 }
 
+/**
+ * Get the Yggdrasil-compatible API URL used by authlib-injector.
+ * Derived from an Auth API base URL.
+ * @param {string} authAPI Optional: the Auth API base URL. Defaults to the launcher Auth API.
+ * @returns {string}
+ */
+exports.getYggdrasilAPI = function(authAPI = exports.getAuthAPI()){
+    return `${authAPI.replace(/\/+$/, '')}/api/yggdrasil`
+}
+
 /**
  * Set Auth API base URL.
  * @param {string} url
  */
 exports.setAuthAPI = function(url){
     config.settings.launcher.authAPI = String(url || '').trim()
+    notifyChange('settings.launcher.authAPI')
+}
+
+/**
+ * Get the timeout of a single Auth API request.
+ * @param {boolean} def Optional: return default.
+ * @returns {number} The timeout in milliseconds.
+ */
+exports.getAuthTimeout = function(def = false){
+    return !def ? config.settings.launcher.authTimeout : DEFAULT_CONFIG.settings.launcher.authTimeout
+}
+
+/**
+ * Set the timeout of a single Auth API request.
+ * @param {number} timeout The timeout in milliseconds.
+ */
+exports.setAuthTimeout = function(timeout){
+    config.settings.launcher.authTimeout = Number.parseInt(timeout)
+    notifyChange('settings.launcher.authTimeout')
+}
+
+/**
+ * Validate an Auth API request timeout.
+ * @param {number} timeout The timeout in milliseconds.
+ * @returns {boolean}
+ */
+exports.validateAuthTimeout = function(timeout){
+    const nVal = Number.parseInt(timeout)
+    return Number.isInteger(nVal) && nVal > 0
+}
+
+/**
+ * Get how many times a failed Auth API request is retried.
+ * @param {boolean} def Optional: return default.
+ * @returns {number}
+ */
+exports.getAuthRetries = function(def = false){
+    return !def ? config.settings.launcher.authRetries : DEFAULT_CONFIG.settings.launcher.authRetries
+}
+
+/**
+ * Set how many times a failed Auth API request is retried.
+ * @param {number} retries
+ */
+exports.setAuthRetries = function(retries){
+    config.settings.launcher.authRetries = Number.parseInt(retries)
+    notifyChange('settings.launcher.authRetries')
+}
+
+/**
+ * Validate an Auth API retry count.
+ * @param {number} retries
+ * @returns {boolean}
+ */
+exports.validateAuthRetries = function(retries){
+    const nVal = Number.parseInt(retries)
+    return Number.isInteger(nVal) && nVal >= 0
+}
+
+/**
+ * Validate an Auth API base URL. Only absolute http(s) URLs are accepted.
+ * @param {string} url
+ * @returns {boolean}
+ */
+exports.validateAuthAPI = function(url){
+    try {
+        const { protocol } = new URL(String(url || '').trim())
+        return protocol === 'http:' || protocol === 'https:'
+    } catch {
+        return false
+    }
 }
@@ -25,4 +25,10 @@ exports.MSFT_ERROR = {
 
 exports.SHELL_OPCODE = {
     TRASH_ITEM: 'TRASH_ITEM'
+}
+
+// Development only, see docs/MockAuthServer.md.
+exports.MOCK_AUTH_OPCODE = {
+    START: 'MOCK_AUTH_START',
+    SET_SCENARIO: 'MOCK_AUTH_SET_SCENARIO'
 }
\ No newline at end of file
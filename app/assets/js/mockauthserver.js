@@ -0,0 +1,638 @@
+/**
+ * Mock Auth Server
+ *
+ * A small in-memory implementation of the auth backend used by the
+ * AuthManager, meant for development only. It runs inside the main
+ * process and exposes the same endpoints as the real backend, so the
+ * account flows can be exercised without network access.
+ *
+ * Scripted scenarios simulate conditions which are hard to reproduce
+ * against a real backend. See docs/MockAuthServer.md.
+ *
+ * @module mockauthserver
+ */
+// Requirements
+const crypto         = require('crypto')
+const http           = require('http')
+const { LoggerUtil } = require('helios-core')
+
+const logger = LoggerUtil.getLogger('MockAuthServer')
+
+/**
+ * Available scenarios.
+ */
+exports.SCENARIO = Object.freeze({
+    // Everything works.
+    NORMAL: 'normal',
+    // Access tokens expire shortly after being issued, so they are refreshed constantly.
+    EXPIRED_TOKENS: 'expiredTokens',
+    // Short lived access tokens which can never be refreshed.
+    REFRESH_FAILURE: 'refreshFailure',
+    // Login, registration and password reset requests are rate limited.
+    RATE_LIMITED: 'rateLimited',
+    // Every request fails with 503, as if the backend was down.
+    SERVER_ERROR: 'serverError',
+    // Every response is delayed past the default request timeout.
+    SLOW: 'slow'
+})
+
+const ACCESS_TTL = 15*60*1000
+// Just above the AuthManager refresh margin.
+const SHORT_ACCESS_TTL = 150*1000
+const CHALLENGE_TTL = 5*60*1000
+const RATE_LIMIT_RETRY_AFTER = 30
+const SLOW_DELAY = 15*1000
+
+// Seeded account, available in every scenario.
+const SEED_USER = { username: 'dev', password: 'password', email: 'dev@localhost' }
+
+// The launcher calls the backend from the renderer, which is subject to CORS.
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After'
+}
+
+const tokenSecret = crypto.randomBytes(32)
+
+let server = null
+let scenario = exports.SCENARIO.NORMAL
+
+// Lowercase username -> user.
+const users = new Map()
+// Session id -> session.
+const sessions = new Map()
+// Challenge -> pending second factor login.
+const challenges = new Map()
+// User uuid -> password reset code.
+const resetCodes = new Map()
+// Texture hash -> PNG image.
+const textures = new Map()
+
+/* Helpers */
+
+/**
+ * Create an error response. Thrown by route handlers, this is
+ * not an Error since it is an expected outcome.
+ *
+ * @param {number} status The HTTP status.
+ * @param {string} error The error code.
+ * @param {Object} headers Optional. Additional response headers.
+ * @returns {{status: number, error: string, headers: Object}} The error response.
+ */
+function fail(status, error, headers = {}){
+    return { status, error, headers }
+}
+
+function base64url(value){
+    return Buffer.from(value).toString('base64url')
+}
+
+/**
+ * Issue a signed JWT access token for a session.
+ *
+ * @param {Object} session The session.
+ * @returns {string} The access token.
+ */
+function issueAccessToken(session){
+    const ttl = scenario === exports.SCENARIO.EXPIRED_TOKENS || scenario === exports.SCENARIO.REFRESH_FAILURE
+        ? SHORT_ACCESS_TTL
+        : ACCESS_TTL
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+    const payload = base64url(JSON.stringify({
+        sub: session.userId,
+        sid: session.id,
+        exp: Math.floor((Date.now() + ttl) / 1000)
+    }))
+    const signature = crypto.createHmac('sha256', tokenSecret).update(`${header}.${payload}`).digest('base64url')
+    return `${header}.${payload}.${signature}`
+}
+
+/**
+ * Resolve the session of a request from its bearer token.
+ *
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Object} The session.
+ */
+function authenticate(req){
+    const match = /^Bearer (.+)$/.exec(req.headers['authorization'] || '')
+    if(match == null){
+        throw fail(401, 'unauthorized')
+    }
+    const [header, payload = '', signature] = match[1].split('.')
+    const expected = crypto.createHmac('sha256', tokenSecret).update(`${header}.${payload}`).digest('base64url')
+    if(signature !== expected){
+        throw fail(401, 'invalid_token')
+    }
+    // The signature matched, so the payload is ours.
+    const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    if(exp * 1000 <= Date.now()){
+        throw fail(401, 'token_expired')
+    }
+    const session = sessions.get(sid)
+    if(session == null){
+        throw fail(401, 'invalid_token')
+    }
+    session.lastUsed = new Date().toISOString()
+    return session
+}
+
+function findUserByUUID(uuid){
+    return Array.from(users.values()).find(user => user.uuid === uuid)
+}
+
+function findUserByLogin(login){
+    const value = String(login || '').trim().toLowerCase()
+    return users.get(value) || Array.from(users.values()).find(user => user.email?.toLowerCase() === value)
+}
+
+function publicUser(user){
+    return {
+        uuid: user.uuid,
+        username: user.username,
+        email: user.email,
+        twoFactorEnabled: user.twoFactorSecret != null,
+        textures: {
+            // Relative URLs, like a backend behind a proxy might send.
+            skin: user.skin != null ? { url: `/textures/${user.skin.hash}`, model: user.skin.model } : null,
+            cape: user.cape != null ? { url: `/textures/${user.cape}` } : null
+        }
+    }
+}
+
+/**
+ * Store an uploaded texture, checking its size from the PNG header.
+ *
+ * @param {string} image The PNG image, base64 encoded.
+ * @param {string[]} sizes The accepted sizes, as 'WxH'.
+ * @param {string} error The error code if the image is rejected.
+ * @returns {string} The hash of the texture.
+ */
+function storeTexture(image, sizes, error){
+    const png = Buffer.from(String(image || ''), 'base64')
+    if(png.length < 24 || png.toString('ascii', 1, 4) !== 'PNG'
+        || !sizes.includes(`${png.readUInt32BE(16)}x${png.readUInt32BE(20)}`)){
+        throw fail(400, error)
+    }
+    const hash = crypto.createHash('sha256').update(png).digest('hex')
+    textures.set(hash, png)
+    return hash
+}
+
+/**
+ * Create a session for a user and issue its tokens.
+ *
+ * @param {Object} user The user.
+ * @param {string} device The device name sent by the client.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Object} The login response.
+ */
+function login(user, device, req){
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.uuid,
+        refresh: crypto.randomBytes(32).toString('hex'),
+        device: device || 'Unknown',
+        ip: req.socket.remoteAddress,
+        lastUsed: new Date().toISOString()
+    }
+    sessions.set(session.id, session)
+    return { access: issueAccessToken(session), refresh: session.refresh, user: publicUser(user) }
+}
+
+function revokeSessions(userId, except = null){
+    for(const session of sessions.values()){
+        if(session.userId === userId && session.id !== except){
+            sessions.delete(session.id)
+        }
+    }
+}
+
+function createUser(username, password, email){
+    const user = { uuid: crypto.randomUUID(), username, password, email: email || null, twoFactorSecret: null, pendingSecret: null, skin: null, cape: null }
+    users.set(username.toLowerCase(), user)
+    return user
+}
+
+/* TOTP (RFC 6238) */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function base32Encode(buffer){
+    let bits = ''
+    for(const byte of buffer){
+        bits += byte.toString(2).padStart(8, '0')
+    }
+    let out = ''
+    for(let i=0; i<bits.length; i+=5){
+        out += BASE32_ALPHABET[Number.parseInt(bits.substring(i, i+5).padEnd(5, '0'), 2)]
+    }
+    return out
+}
+
+function base32Decode(value){
+    let bits = ''
+    for(const char of value){
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')
+    }
+    const bytes = []
+    for(let i=0; i+8<=bits.length; i+=8){
+        bytes.push(Number.parseInt(bits.substring(i, i+8), 2))
+    }
+    return Buffer.from(bytes)
+}
+
+function totp(secret, counter){
+    const buf = Buffer.alloc(8)
+    buf.writeBigUInt64BE(BigInt(counter))
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest()
+    const offset = hmac[hmac.length - 1] & 0xf
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0')
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift.
+ */
+function verifyTotp(secret, code){
+    const counter = Math.floor(Date.now() / 30000)
+    return secret != null && [-1, 0, 1].some(drift => totp(secret, counter + drift) === String(code || '').trim())
+}
+
+/* Routes */
+
+// Requests which are rate limited in the rateLimited scenario.
+const RATE_LIMITED_ROUTES = [
+    'POST /api/auth/register',
+    'POST /api/auth/login',
+    'POST /api/auth/login/2fa',
+    'POST /api/auth/password/forgot'
+]
+
+const ROUTES = {
+
+    'POST /api/auth/register': (req, { username, password, email }) => {
+        if(!username || !password){
+            throw fail(400, 'missing_fields')
+        }
+        if(!/^[a-zA-Z0-9_]{3,16}$/.test(username)){
+            throw fail(400, 'invalid_username')
+        }
+        if(email && !/^\S+@\S+\.\S+$/.test(email)){
+            throw fail(400, 'invalid_email')
+        }
+        if(password.length < 6){
+            throw fail(400, 'weak_password')
+        }
+        if(users.has(username.toLowerCase())){
+            throw fail(409, 'username_taken')
+        }
+        if(email && findUserByLogin(email) != null){
+            throw fail(409, 'email_taken')
+        }
+        return { status: 201, body: { user: publicUser(createUser(username, password, email)) } }
+    },
+
+    'POST /api/auth/login': (req, { username, password, device }) => {
+        if(!username || !password){
+            throw fail(400, 'missing_fields')
+        }
+        const user = findUserByLogin(username)
+        if(user == null || user.password !== password){
+            throw fail(401, 'invalid_credentials')
+        }
+        if(user.twoFactorSecret != null){
+            const challenge = crypto.randomBytes(16).toString('hex')
+            challenges.set(challenge, { userId: user.uuid, device, expires: Date.now() + CHALLENGE_TTL })
+            return { body: { mfaRequired: true, challenge } }
+        }
+        return { body: login(user, device, req) }
+    },
+
+    'POST /api/auth/login/2fa': (req, { challenge, code, device }) => {
+        const pending = challenges.get(challenge)
+        if(pending == null || pending.expires <= Date.now()){
+            challenges.delete(challenge)
+            throw fail(401, 'challenge_expired')
+        }
+        const user = findUserByUUID(pending.userId)
+        if(!verifyTotp(user.twoFactorSecret, code)){
+            throw fail(401, 'invalid_totp')
+        }
+        challenges.delete(challenge)
+        return { body: login(user, device || pending.device, req) }
+    },
+
+    'GET /api/auth/me': (req) => {
+        const session = authenticate(req)
+        return { body: { user: publicUser(findUserByUUID(session.userId)) } }
+    },
+
+    'POST /api/auth/refresh': (req, { refresh }) => {
+        if(scenario === exports.SCENARIO.REFRESH_FAILURE){
+            throw fail(401, 'invalid_refresh')
+        }
+        const session = Array.from(sessions.values()).find(s => s.refresh === refresh)
+        if(session == null){
+            throw fail(401, 'invalid_refresh')
+        }
+        // Rotate the refresh token.
+        session.refresh = crypto.randomBytes(32).toString('hex')
+        session.lastUsed = new Date().toISOString()
+        return { body: { access: issueAccessToken(session), refresh: session.refresh } }
+    },
+
+    'POST /api/auth/logout': (req, { refresh }) => {
+        const session = Array.from(sessions.values()).find(s => s.refresh === refresh)
+        if(session != null){
+            sessions.delete(session.id)
+        }
+        return { body: {} }
+    },
+
+    'GET /api/auth/sessions': (req) => {
+        const current = authenticate(req)
+        const list = Array.from(sessions.values())
+            .filter(s => s.userId === current.userId)
+            .map(s => ({ id: s.id, device: s.device, ip: s.ip, lastUsed: s.lastUsed, current: s.id === current.id }))
+        return { body: { sessions: list } }
+    },
+
+    'DELETE /api/auth/sessions/:id': (req, body, id) => {
+        const current = authenticate(req)
+        const session = sessions.get(id)
+        if(session == null || session.userId !== current.userId){
+            throw fail(404, 'session_not_found')
+        }
+        sessions.delete(id)
+        return { body: {} }
+    },
+
+    'POST /api/auth/logout-all': (req) => {
+        revokeSessions(authenticate(req).userId)
+        return { body: {} }
+    },
+
+    'POST /api/auth/password': (req, { currentPassword, newPassword }) => {
+        const session = authenticate(req)
+        const user = findUserByUUID(session.userId)
+        if(!currentPassword || !newPassword){
+            throw fail(400, 'missing_fields')
+        }
+        if(user.password !== currentPassword){
+            throw fail(403, 'wrong_password')
+        }
+        if(newPassword.length < 6){
+            throw fail(400, 'weak_password')
+        }
+        user.password = newPassword
+        // Changing the password signs out every other device.
+        revokeSessions(user.uuid, session.id)
+        return { body: {} }
+    },
+
+    'POST /api/auth/password/forgot': (req, { login }) => {
+        const user = findUserByLogin(login)
+        // Respond the same way for unknown accounts, like a real backend would.
+        if(user != null){
+            const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+            resetCodes.set(user.uuid, code)
+            logger.info(`Password reset code for ${user.username}: ${code}`)
+        }
+        return { body: {} }
+    },
+
+    'POST /api/auth/password/reset': (req, { login, code, newPassword }) => {
+        const user = findUserByLogin(login)
+        if(user == null || resetCodes.get(user.uuid) !== String(code || '').trim()){
+            throw fail(400, 'invalid_code')
+        }
+        if(!newPassword || newPassword.length < 6){
+            throw fail(400, 'weak_password')
+        }
+        resetCodes.delete(user.uuid)
+        user.password = newPassword
+        revokeSessions(user.uuid)
+        return { body: {} }
+    },
+
+    'POST /api/auth/2fa/setup': (req) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        user.pendingSecret = base32Encode(crypto.randomBytes(20))
+        const otpauthUrl = `otpauth://totp/Helios:${encodeURIComponent(user.username)}?secret=${user.pendingSecret}&issuer=Helios`
+        // Print the current code so the flow can be completed without an authenticator app.
+        logger.info(`2FA secret for ${user.username}: ${user.pendingSecret} (current code ${totp(user.pendingSecret, Math.floor(Date.now() / 30000))})`)
+        return { body: { secret: user.pendingSecret, otpauthUrl } }
+    },
+
+    'POST /api/auth/2fa/enable': (req, { code }) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        if(!verifyTotp(user.pendingSecret, code)){
+            throw fail(400, 'invalid_totp')
+        }
+        user.twoFactorSecret = user.pendingSecret
+        user.pendingSecret = null
+        return { body: {} }
+    },
+
+    'POST /api/auth/2fa/disable': (req, { code }) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        if(!verifyTotp(user.twoFactorSecret, code)){
+            throw fail(400, 'invalid_totp')
+        }
+        user.twoFactorSecret = null
+        return { body: {} }
+    },
+
+    'PUT /api/auth/skin': (req, { image, model }) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        if(model !== 'classic' && model !== 'slim'){
+            throw fail(400, 'invalid_skin')
+        }
+        if(image == null){
+            // Only change the model of the current skin.
+            if(user.skin == null){
+                throw fail(404, 'skin_not_found')
+            }
+            user.skin.model = model
+        } else {
+            user.skin = { hash: storeTexture(image, model === 'slim' ? ['64x64'] : ['64x64', '64x32'], 'invalid_skin'), model }
+        }
+        return { body: { user: publicUser(user) } }
+    },
+
+    'DELETE /api/auth/skin': (req) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        user.skin = null
+        return { body: { user: publicUser(user) } }
+    },
+
+    'PUT /api/auth/cape': (req, { image }) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        user.cape = storeTexture(image, ['64x32'], 'invalid_cape')
+        return { body: { user: publicUser(user) } }
+    },
+
+    'DELETE /api/auth/cape': (req) => {
+        const user = findUserByUUID(authenticate(req).userId)
+        user.cape = null
+        return { body: { user: publicUser(user) } }
+    },
+
+    'GET /textures/:hash': (req, body, hash) => {
+        const png = textures.get(hash)
+        if(png == null){
+            throw fail(404, 'not_found')
+        }
+        return { body: png }
+    }
+
+}
+
+/**
+ * Find the handler of a request.
+ *
+ * @param {string} method The request method.
+ * @param {string} pathname The request path.
+ * @returns {{key: string, handler: function, param: string | undefined} | null} The route, or null if not found.
+ */
+function resolveRoute(method, pathname){
+    const key = `${method} ${pathname}`
+    if(ROUTES[key] != null){
+        return { key, handler: ROUTES[key] }
+    }
+    const match = /^\/api\/auth\/sessions\/([^/]+)$/.exec(pathname)
+    if(method === 'DELETE' && match != null){
+        return { key: 'DELETE /api/auth/sessions/:id', handler: ROUTES['DELETE /api/auth/sessions/:id'], param: decodeURIComponent(match[1]) }
+    }
+    const texture = /^\/textures\/([0-9a-f]+)$/.exec(pathname)
+    if(method === 'GET' && texture != null){
+        return { key: 'GET /textures/:hash', handler: ROUTES['GET /textures/:hash'], param: texture[1] }
+    }
+    return null
+}
+
+function readBody(req){
+    return new Promise((resolve) => {
+        let data = ''
+        req.on('data', chunk => { data += chunk })
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {})
+            } catch {
+                resolve({})
+            }
+        })
+    })
+}
+
+function send(res, status, body, headers = {}){
+    // Textures are sent as is.
+    if(Buffer.isBuffer(body)){
+        res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'image/png', ...headers })
+        return res.end(body)
+    }
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers })
+    res.end(JSON.stringify(body))
+}
+
+async function handle(req, res){
+    // Preflight requests are answered regardless of the scenario.
+    if(req.method === 'OPTIONS'){
+        res.writeHead(204, CORS_HEADERS)
+        return res.end()
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost')
+    const body = await readBody(req)
+
+    if(scenario === exports.SCENARIO.SLOW){
+        await new Promise(resolve => setTimeout(resolve, SLOW_DELAY))
+    }
+    if(scenario === exports.SCENARIO.SERVER_ERROR){
+        return send(res, 503, { error: 'service_unavailable' })
+    }
+
+    const route = resolveRoute(req.method, pathname)
+    if(route == null){
+        return send(res, 404, { error: 'not_found' })
+    }
+    if(scenario === exports.SCENARIO.RATE_LIMITED && RATE_LIMITED_ROUTES.includes(route.key)){
+        return send(res, 429, { error: 'too_many_requests' }, { 'Retry-After': String(RATE_LIMIT_RETRY_AFTER) })
+    }
+
+    try {
+        const { status = 200, body: resBody } = route.handler(req, body, route.param)
+        send(res, status, resBody)
+    } catch(err) {
+        if(err instanceof Error){
+            logger.error(`Error while handling ${route.key}.`, err)
+            return send(res, 500, { error: 'internal_error' })
+        }
+        send(res, err.status, { error: err.error }, err.headers)
+    }
+}
+
+/**
+ * Start the mock server, if it is not already running. The port is
+ * assigned by the OS.
+ *
+ * @param {string} name Optional. The scenario to run, one of SCENARIO.
+ * @returns {Promise.<string>} The base URL of the server.
+ */
+exports.start = async function(name = exports.SCENARIO.NORMAL){
+    exports.setScenario(name)
+    if(server == null){
+        if(users.size === 0){
+            createUser(SEED_USER.username, SEED_USER.password, SEED_USER.email)
+        }
+        server = http.createServer((req, res) => {
+            handle(req, res).catch(err => {
+                logger.error('Unhandled error in mock auth server.', err)
+                send(res, 500, { error: 'internal_error' })
+            })
+        })
+        await new Promise((resolve, reject) => {
+            server.once('error', reject)
+            server.listen(0, '127.0.0.1', resolve)
+        })
+        logger.info(`Listening on ${exports.getURL()} (seeded account: ${SEED_USER.username} / ${SEED_USER.password}).`)
+    }
+    return exports.getURL()
+}
+
+/**
+ * Stop the mock server. Accounts and sessions are kept in memory
+ * until the process exits.
+ *
+ * @returns {Promise.<void>}
+ */
+exports.stop = async function(){
+    if(server != null){
+        const closing = server
+        server = null
+        closing.closeAllConnections()
+        await new Promise(resolve => closing.close(resolve))
+        logger.info('Stopped.')
+    }
+}
+
+/**
+ * @returns {string | null} The base URL of the server, or null if it is not running.
+ */
+exports.getURL = function(){
+    return server != null ? `http://127.0.0.1:${server.address().port}` : null
+}
+
+/**
+ * Switch the scenario of the running server.
+ *
+ * @param {string} name The scenario, one of SCENARIO.
+ */
+exports.setScenario = function(name){
+    if(!Object.values(exports.SCENARIO).includes(name)){
+        throw new Error(`Unknown mock auth scenario ${name}.`)
+    }
+    scenario = name
+    logger.info(`Scenario set to ${name}.`)
+}
@@ -36,7 +36,7 @@ function onDistroLoad(data){
         if(ConfigManager.getSelectedServer() == null || data.getServerById(ConfigManager.getSelectedServer()) == null){
             logger.info('Determining default selected server..')
             ConfigManager.setSelectedServer(data.getMainServer().rawServer.id)
-            ConfigManager.save()
+            ConfigManager.scheduleSave()
         }
     }
     ipcRenderer.send('distributionIndexDone', data != null)
@@ -9,9 +9,13 @@ const os                    = require('os')
 const path                  = require('path')
 
 const ConfigManager            = require('./configmanager')
+const ServerStatus             = require('./serverstatus')
 
 const logger = LoggerUtil.getLogger('ProcessBuilder')
 
+// Versionless maven identifier of the authlib-injector agent library.
+const AUTHLIB_INJECTOR_ID = 'moe.yushi:authlibinjector'
+
 
 /**
  * Only forge and fabric are top level mod loaders.
@@ -31,6 +35,8 @@ class ProcessBuilder {
         this.modManifest = modManifest
         this.authUser = authUser
         this.launcherVersion = launcherVersion
+        // Game settings of the server, overrides applied.
+        this.gameSettings = ConfigManager.getGameSettings(distroServer.rawServer.id)
         this.forgeModListFile = path.join(this.gameDir, 'forgeMods.list') // 1.13+
         this.fmlDir = path.join(this.gameDir, 'forgeModList.json')
         this.llDir = path.join(this.gameDir, 'liteloaderModList.json')
@@ -39,13 +45,18 @@ class ProcessBuilder {
         this.usingLiteLoader = false
         this.usingFabricLoader = false
         this.llPath = null
+        // Address to connect to on launch, resolved in build.
+        this.serverAddress = null
     }
     
     /**
      * Convienence method to run the functions typically used to build a process.
+     * 
+     * @returns {Promise.<ChildProcess>} The game process.
      */
-    build(){
+    async build(){
         fs.ensureDirSync(this.gameDir)
+        this.serverAddress = await this.resolveServerAddress()
         const tempNativePath = path.join(os.tmpdir(), ConfigManager.getTempNativeFolder(), crypto.pseudoRandomBytes(16).toString('hex'))
         process.throwDeprecation = true
         this.setupLiteLoader()
@@ -82,10 +93,10 @@ class ProcessBuilder {
 
         const child = child_process.spawn(ConfigManager.getJavaExecutable(this.server.rawServer.id), args, {
             cwd: this.gameDir,
-            detached: ConfigManager.getLaunchDetached()
+            detached: this.gameSettings.launchDetached
         })
 
-        if(ConfigManager.getLaunchDetached()){
+        if(this.gameSettings.launchDetached){
             child.unref()
         }
 
@@ -305,16 +316,34 @@ class ProcessBuilder {
 
     }
 
+    /**
+     * Resolve the address the game should connect to on launch, following
+     * the SRV record of the server.
+     * 
+     * @returns {Promise.<{host: string, port: number}|null>} The address, or null if
+     * the game does not connect automatically.
+     */
+    async resolveServerAddress(){
+        if(!this.gameSettings.autoConnect || !this.server.rawServer.autoconnect){
+            return null
+        }
+        const address = await ServerStatus.resolveAddress(this.server.hostname, this.server.port)
+        if(address.srv){
+            logger.info(`Auto connecting to ${address.host}:${address.port} (SRV record of ${this.server.hostname}).`)
+        }
+        return address
+    }
+
     _processAutoConnectArg(args){
-        if(ConfigManager.getAutoConnect() && this.server.rawServer.autoconnect){
+        if(this.serverAddress != null){
             if(mcVersionAtLeast('1.20', this.server.rawServer.minecraftVersion)){
                 args.push('--quickPlayMultiplayer')
-                args.push(`${this.server.hostname}:${this.server.port}`)
+                args.push(`${this.serverAddress.host}:${this.serverAddress.port}`)
             } else {
                 args.push('--server')
-                args.push(this.server.hostname)
+                args.push(this.serverAddress.host)
                 args.push('--port')
-                args.push(this.server.port)
+                args.push(String(this.serverAddress.port))
             }
         }
     }
@@ -358,6 +387,7 @@ class ProcessBuilder {
         args.push('-Xmx' + ConfigManager.getMaxRAM(this.server.rawServer.id))
         args.push('-Xms' + ConfigManager.getMinRAM(this.server.rawServer.id))
         args = args.concat(ConfigManager.getJVMOptions(this.server.rawServer.id))
+        args = args.concat(this._resolveAuthAgentArgs())
         args.push('-Djava.library.path=' + tempNativePath)
 
         // Main Java Class
@@ -409,6 +439,7 @@ class ProcessBuilder {
         args.push('-Xmx' + ConfigManager.getMaxRAM(this.server.rawServer.id))
         args.push('-Xms' + ConfigManager.getMinRAM(this.server.rawServer.id))
         args = args.concat(ConfigManager.getJVMOptions(this.server.rawServer.id))
+        args = args.concat(this._resolveAuthAgentArgs())
 
         // Main Java Class
         args.push(this.modManifest.mainClass)
@@ -436,7 +467,7 @@ class ProcessBuilder {
                         // We don't have many 'features' in the index at the moment.
                         // This should be fine for a while.
                         if(rule.features.has_custom_resolution != null && rule.features.has_custom_resolution === true){
-                            if(ConfigManager.getFullscreen()){
+                            if(this.gameSettings.fullscreen){
                                 args[i].value = [
                                     '--fullscreen',
                                     'true'
@@ -497,10 +528,10 @@ class ProcessBuilder {
                             val = this.vanillaManifest.type
                             break
                         case 'resolution_width':
-                            val = ConfigManager.getGameWidth()
+                            val = this.gameSettings.resWidth
                             break
                         case 'resolution_height':
-                            val = ConfigManager.getGameHeight()
+                            val = this.gameSettings.resHeight
                             break
                         case 'natives_directory':
                             val = args[i].replace(argDiscovery, tempNativePath)
@@ -595,14 +626,14 @@ class ProcessBuilder {
         this._processAutoConnectArg(mcArgs)
 
         // Prepare game resolution
-        if(ConfigManager.getFullscreen()){
+        if(this.gameSettings.fullscreen){
             mcArgs.push('--fullscreen')
             mcArgs.push(true)
         } else {
             mcArgs.push('--width')
-            mcArgs.push(ConfigManager.getGameWidth())
+            mcArgs.push(this.gameSettings.resWidth)
             mcArgs.push('--height')
-            mcArgs.push(ConfigManager.getGameHeight())
+            mcArgs.push(this.gameSettings.resHeight)
         }
         
         // Mod List File Argument
@@ -822,7 +853,9 @@ class ProcessBuilder {
         for(let mdl of mdls){
             const type = mdl.rawModule.type
             if(type === Type.ForgeHosted || type === Type.Fabric || type === Type.Library){
-                libs[mdl.getVersionlessMavenIdentifier()] = mdl.getPath()
+                if(mdl.rawModule.classpath ?? true) {
+                    libs[mdl.getVersionlessMavenIdentifier()] = mdl.getPath()
+                }
                 if(mdl.subModules.length > 0){
                     const res = this._resolveModuleLibraries(mdl)
                     libs = {...libs, ...res}
@@ -869,6 +902,49 @@ class ProcessBuilder {
         return libs
     }
 
+    /**
+     * Resolve the authlib-injector javaagent argument for custom accounts. This lets
+     * the game use the Yggdrasil API of our auth backend, so game servers in online
+     * mode can verify the session. The agent jar is declared by the server as a
+     * library module, so it is downloaded and validated like any other library.
+     * 
+     * @returns {Array.<string>} The agent arguments, or an empty array if not applicable.
+     */
+    _resolveAuthAgentArgs(){
+        if(this.authUser.type !== 'custom'){
+            return []
+        }
+        const agent = this._findLibraryModule(this.server.modules, AUTHLIB_INJECTOR_ID)
+        if(agent == null){
+            logger.warn('authlib-injector is not declared by this server, the session will not be verifiable.')
+            return []
+        }
+        // Use the backend the account was obtained from.
+        const yggdrasilAPI = ConfigManager.getYggdrasilAPI(this.authUser.authAPI || ConfigManager.getAuthAPI())
+        logger.info('Using authlib-injector with Yggdrasil API', yggdrasilAPI)
+        return [`-javaagent:${agent.getPath()}=${yggdrasilAPI}`]
+    }
+
+    /**
+     * Recursively search for a library module by its versionless maven identifier.
+     * 
+     * @param {Array.<Object>} mdls The modules to search.
+     * @param {string} id The versionless maven identifier.
+     * @returns {Object | null} The library module, or null if it is not declared.
+     */
+    _findLibraryModule(mdls, id){
+        for(const mdl of mdls){
+            if(mdl.rawModule.type === Type.Library && mdl.getVersionlessMavenIdentifier() === id){
+                return mdl
+            }
+            const res = this._findLibraryModule(mdl.subModules, id)
+            if(res != null){
+                return res
+            }
+        }
+        return null
+    }
+
 }
 
 module.exports = ProcessBuilder
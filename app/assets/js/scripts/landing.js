@@ -4,8 +4,7 @@
 // Requirements
 const { URL }                 = require('url')
 const {
-    MojangRestAPI,
-    getServerStatus
+    MojangRestAPI
 }                             = require('helios-core/mojang')
 const {
     RestResponseStatus,
@@ -30,6 +29,8 @@ const {
 // Internal Requirements
 const DiscordWrapper          = require('./assets/js/discordwrapper')
 const ProcessBuilder          = require('./assets/js/processbuilder')
+const ServerStatus            = require('./assets/js/serverstatus')
+const StatusHistory           = require('./assets/js/statushistory')
 
 // Launch Elements
 const launch_content          = document.getElementById('launch_content')
@@ -149,12 +150,57 @@ function updateSelectedAccount(authUser){
             username = authUser.displayName
         }
         if(authUser.uuid != null){
-            document.getElementById('avatarContainer').style.backgroundImage = `url('https://mc-heads.net/body/${authUser.uuid}/right')`
+            SkinRenderer.getAvatarURL(authUser.uuid, AuthManager.getTextures(authUser)).then(url => {
+                // The selected account may have changed while rendering.
+                if(ConfigManager.getSelectedAccount()?.uuid === authUser.uuid){
+                    document.getElementById('avatarContainer').style.backgroundImage = `url('${url}')`
+                }
+            })
         }
     }
     user_text.innerHTML = username
 }
 updateSelectedAccount(ConfigManager.getSelectedAccount())
+// Follow the selection and changes to the selected account, such as a new skin.
+ConfigManager.subscribe('selectedAccount', () => updateSelectedAccount(ConfigManager.getSelectedAccount()))
+ConfigManager.subscribe('authenticationDatabase', () => updateSelectedAccount(ConfigManager.getSelectedAccount()))
+
+/**
+ * Show or hide the offline badge below the username. The badge is shown
+ * while the auth backend of the selected account cannot be reached.
+ * 
+ * @param {boolean} offline Whether the selected account is offline.
+ */
+function setOfflineMode(offline){
+    document.getElementById('offline_badge').style.display = offline ? '' : 'none'
+}
+
+/**
+ * Ask the user whether to launch in offline mode, since the auth
+ * backend cannot be reached.
+ * 
+ * @param {string} username The name of the selected account.
+ * @returns {Promise.<boolean>} Whether the user chose to launch offline.
+ */
+function confirmOfflineLaunch(username){
+    return new Promise((resolve) => {
+        setOverlayContent(
+            Lang.queryJS('landing.dlAsync.offlineLaunchTitle'),
+            Lang.queryJS('landing.dlAsync.offlineLaunchDesc', { account: username }),
+            Lang.queryJS('landing.dlAsync.offlineLaunchButton'),
+            Lang.queryJS('landing.dlAsync.offlineLaunchCancel')
+        )
+        setOverlayHandler(() => {
+            toggleOverlay(false)
+            resolve(true)
+        })
+        setDismissHandler(() => {
+            toggleOverlay(false)
+            resolve(false)
+        })
+        toggleOverlay(true, true)
+    })
+}
 
 // Bind selected server
 function updateSelectedServer(serv){
@@ -162,13 +208,33 @@ function updateSelectedServer(serv){
         fullSettingsSave()
     }
     ConfigManager.setSelectedServer(serv != null ? serv.rawServer.id : null)
-    ConfigManager.save()
+    AuthManager.setActiveServer(serv)
+    selectAccountForServer(serv)
+    ConfigManager.scheduleSave()
     server_selection_button.innerHTML = '&#8226; ' + (serv != null ? serv.rawServer.name : Lang.queryJS('landing.noSelection'))
     if(getCurrentView() === VIEWS.settings){
         animateSettingsTabRefresh()
     }
     setLaunchEnabled(serv != null)
 }
+
+/**
+ * If the selected account was not obtained from the auth backend of the
+ * server, switch to the first account that was. The selection is kept
+ * when there is no such account, launching is blocked in dlAsync instead.
+ * 
+ * @param {Object} serv The selected server.
+ */
+function selectAccountForServer(serv){
+    if(serv == null || AuthManager.isAccountForServer(ConfigManager.getSelectedAccount(), serv)){
+        return
+    }
+    const match = Object.values(ConfigManager.getAuthAccounts()).find(acc => AuthManager.isAccountForServer(acc, serv))
+    if(match != null){
+        loggerLanding.info(`Selecting account ${match.displayName} for the auth backend of ${serv.rawServer.id}.`)
+        ConfigManager.setSelectedAccount(match.uuid)
+    }
+}
 // Real text is set in uibinder.js on distributionIndexDone.
 server_selection_button.innerHTML = '&#8226; ' + Lang.queryJS('landing.selectedServer.loading')
 server_selection_button.onclick = async e => {
@@ -241,13 +307,14 @@ const refreshServerStatus = async (fade = false) => {
 
     let pLabel = Lang.queryJS('landing.serverStatus.server')
     let pVal = Lang.queryJS('landing.serverStatus.offline')
-
     try {
 
-        const servStat = await getServerStatus(47, serv.hostname, serv.port)
-        console.log(servStat)
-        pLabel = Lang.queryJS('landing.serverStatus.players')
-        pVal = servStat.players.online + '/' + servStat.players.max
+        const servStat = await ServerStatus.getCachedStatus(serv.hostname, serv.port)
+        if(servStat.online){
+            loggerLanding.debug(`Server status: ${servStat.players.online}/${servStat.players.max} players, ${servStat.latency} ms.`)
+            pLabel = Lang.queryJS('landing.serverStatus.players')
+            pVal = servStat.players.online + '/' + servStat.players.max
+        }
 
     } catch (err) {
         loggerLanding.warn('Unable to refresh server status, assuming offline.')
@@ -266,13 +333,212 @@ const refreshServerStatus = async (fade = false) => {
     
 }
 
+/**
+ * Ping every server of the distribution and record its status, so the
+ * history of each server is kept, not only the one of the selected server.
+ * Pings are shared with the other status refreshes, see ServerStatus.getCachedStatus.
+ */
+async function recordServerStatuses(){
+    const distro = await DistroAPI.getDistribution()
+    await Promise.all(distro.servers.map(async (serv) => {
+        let servStat = null
+        try {
+            servStat = await ServerStatus.getCachedStatus(serv.hostname, serv.port)
+        } catch (err) {
+            loggerLanding.debug(`Unable to ping ${serv.rawServer.id}.`, err)
+        }
+        await StatusHistory.record(serv.rawServer.id, servStat)
+    }))
+}
+
+// Minimum delay between two notifications of the same server, so a flapping server does not spam the user.
+const SERVER_NOTIFY_COOLDOWN = 15*60*1000
+// Server id -> whether the server was online when last pinged.
+const favoriteServerStates = new Map()
+// Server id -> time of its last notification.
+const favoriteServerNotified = new Map()
+
+/**
+ * Get whether a server was online according to its last status sample
+ * taken before a given time.
+ * 
+ * @param {string} serverId The server id.
+ * @param {number} before Only consider the samples taken before this time (ms, epoch).
+ * @returns {Promise.<boolean|undefined>} The last known status, or undefined if the server has no history.
+ */
+async function getLastKnownStatus(serverId, before){
+    const samples = (await StatusHistory.getSamples(serverId)).filter(sample => sample.time < before)
+    return samples.length > 0 ? samples[samples.length - 1].online : undefined
+}
+
+/**
+ * Ping the favorite servers and notify the user of the ones which came
+ * back online since the last refresh. A server checked for the first time
+ * is compared to its status history, so a server which came back online
+ * since the last run of the launcher is notified too.
+ */
+async function refreshFavoriteServerStatuses(){
+    // Samples recorded by the poll running alongside this check are not the previous status.
+    const checkTime = Date.now()
+    const distro = await DistroAPI.getDistribution()
+    for(const serverId of ConfigManager.getFavoriteServers()){
+        const serv = distro.getServerById(serverId)
+        // The server may have been removed from the distribution.
+        if(serv == null){
+            continue
+        }
+        let online = false
+        try {
+            online = (await ServerStatus.getCachedStatus(serv.hostname, serv.port)).online
+        } catch (err) {
+            loggerLanding.debug(`Unable to ping favorite server ${serverId}.`, err)
+        }
+        let wasOnline = favoriteServerStates.get(serverId)
+        if(wasOnline === undefined){
+            wasOnline = await getLastKnownStatus(serverId, checkTime)
+        }
+        favoriteServerStates.set(serverId, online)
+        if(online && wasOnline === false && ConfigManager.getServerNotify(serverId)){
+            notifyServerOnline(serv)
+        }
+    }
+}
+
+/**
+ * Show a desktop notification telling the user a server is back online.
+ * Clicking it brings the launcher to the front.
+ * 
+ * @param {Object} serv The server which came back online.
+ */
+function notifyServerOnline(serv){
+    const last = favoriteServerNotified.get(serv.rawServer.id)
+    if(last != null && Date.now() - last < SERVER_NOTIFY_COOLDOWN){
+        loggerLanding.info(`${serv.rawServer.id} is back online, notification throttled.`)
+        return
+    }
+    favoriteServerNotified.set(serv.rawServer.id, Date.now())
+    loggerLanding.info(`${serv.rawServer.id} is back online, notifying.`)
+    const notification = new Notification(Lang.queryJS('landing.serverNotify.title', { server: serv.rawServer.name }), {
+        body: Lang.queryJS('landing.serverNotify.body', { server: serv.rawServer.name }),
+        icon: serv.rawServer.icon
+    })
+    notification.onclick = () => {
+        const window = remote.getCurrentWindow()
+        if(window.isMinimized()){
+            window.restore()
+        }
+        window.show()
+        window.focus()
+    }
+}
+
+// Displayed range of the server history, in milliseconds, and its number of bars.
+const SERVER_HISTORY_RANGES = {
+    day: { duration: 24*60*60*1000, buckets: 48 },
+    week: { duration: 7*24*60*60*1000, buckets: 56 }
+}
+let serverHistoryRange = 'day'
+
+/**
+ * Draw the player count and uptime of a server history. The player count
+ * is drawn as an area, with the uptime as a colored strip below it.
+ * 
+ * @param {HTMLCanvasElement} canvas The canvas to draw on.
+ * @param {Object} summary The summary returned by StatusHistory.summarize.
+ */
+function drawServerHistory(canvas, summary){
+    const ratio = window.devicePixelRatio || 1
+    const width = canvas.clientWidth
+    const height = canvas.clientHeight
+    canvas.width = width * ratio
+    canvas.height = height * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.scale(ratio, ratio)
+    ctx.clearRect(0, 0, width, height)
+
+    const stripHeight = 6
+    const graphHeight = height - stripHeight - 2
+    const barWidth = width / summary.buckets.length
+    const peak = Math.max(summary.peak ?? 0, 1)
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.05)'
+    ctx.fillRect(0, 0, width, graphHeight)
+
+    summary.buckets.forEach((bucket, i) => {
+        const x = i * barWidth
+        if(bucket?.players != null){
+            const barHeight = Math.max(bucket.players / peak * graphHeight, 1)
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)'
+            ctx.fillRect(x, graphHeight - barHeight, Math.max(barWidth - 1, 1), barHeight)
+        }
+        if(bucket == null){
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)'
+        } else if(bucket.uptime === 1){
+            ctx.fillStyle = '#96e734'
+        } else if(bucket.uptime > 0){
+            ctx.fillStyle = '#eac918'
+        } else {
+            ctx.fillStyle = '#e73434'
+        }
+        ctx.fillRect(x, height - stripHeight, Math.max(barWidth - 1, 1), stripHeight)
+    })
+}
+
+/**
+ * Show the status history of the selected server in the tooltip.
+ */
+async function refreshServerHistory(){
+    const serverId = ConfigManager.getSelectedServer()
+    if(serverId == null){
+        return
+    }
+    const { duration, buckets } = SERVER_HISTORY_RANGES[serverHistoryRange]
+    const to = Date.now()
+    const samples = await StatusHistory.getSamples(serverId, to - duration)
+    const summary = StatusHistory.summarize(samples, to - duration, to, buckets)
+
+    drawServerHistory(document.getElementById('serverHistoryGraph'), summary)
+    let text
+    if(summary.uptime == null){
+        text = Lang.queryJS('landing.serverHistory.noData')
+    } else {
+        const uptime = (summary.uptime * 100).toFixed(1)
+        text = summary.peak == null
+            ? Lang.queryJS('landing.serverHistory.summaryNeverOnline', { uptime })
+            : Lang.queryJS('landing.serverHistory.summary', { uptime, peak: summary.peak })
+    }
+    document.getElementById('serverHistorySummary').innerHTML = text
+}
+
+document.getElementById('server_status_wrapper').addEventListener('mouseenter', () => {
+    refreshServerHistory()
+})
+
+Array.from(document.getElementsByClassName('serverHistoryRange')).map((val) => {
+    val.onclick = (e) => {
+        if(val.hasAttribute('selected')){
+            return
+        }
+        for(const btn of document.getElementsByClassName('serverHistoryRange')){
+            btn.removeAttribute('selected')
+        }
+        val.setAttribute('selected', '')
+        serverHistoryRange = val.getAttribute('range')
+        refreshServerHistory()
+    }
+})
+
 refreshMojangStatuses()
 // Server Status is refreshed in uibinder.js on distributionIndexDone.
 
 // Refresh statuses every hour. The status page itself refreshes every day so...
 let mojangStatusListener = setInterval(() => refreshMojangStatuses(true), 60*60*1000)
 // Set refresh rate to once every 5 minutes.
-let serverStatusListener = setInterval(() => refreshServerStatus(true), 300000)
+let serverStatusListener = setInterval(() => {
+    refreshServerStatus(true)
+    refreshFavoriteServerStatuses()
+    recordServerStatuses()
+}, 300000)
 
 /**
  * Shows an error overlay, toggles off the launch area.
@@ -355,12 +621,7 @@ async function asyncSystemScan(effectiveJavaOptions, launchAfter = true){
         // Java installation found, use this to launch the game.
         const javaExec = javaExecFromRoot(jvmDetails.path)
         ConfigManager.setJavaExecutable(ConfigManager.getSelectedServer(), javaExec)
-        ConfigManager.save()
-
-        // We need to make sure that the updated value is on the settings UI.
-        // Just incase the settings UI is already open.
-        settingsJavaExecVal.value = javaExec
-        await populateJavaExecDetails(settingsJavaExecVal.value)
+        ConfigManager.scheduleSave()
 
         // TODO Callback hell, refactor
         // TODO Move this out, separate concerns.
@@ -424,7 +685,7 @@ async function downloadJava(effectiveJavaOptions, launchAfter = true) {
 
     // Extraction completed successfully.
     ConfigManager.setJavaExecutable(ConfigManager.getSelectedServer(), newJavaExec)
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
 
     clearInterval(extractListener)
     setLaunchDetails(Lang.queryJS('landing.downloadJava.javaInstalled'))
@@ -472,6 +733,12 @@ async function dlAsync(login = true) {
             loggerLanding.error('You must be logged into an account.')
             return
         }
+        // The account must come from the auth backend of this server.
+        if(!AuthManager.isAccountForServer(ConfigManager.getSelectedAccount(), serv)){
+            loggerLaunchSuite.error(`Selected account does not belong to ${AuthManager.getServerAuthAPI(serv)}.`)
+            showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), Lang.queryJS('landing.dlAsync.accountWrongBackend'))
+            return
+        }
     }
 
     setLaunchDetails(Lang.queryJS('landing.dlAsync.pleaseWait'))
@@ -552,7 +819,26 @@ async function dlAsync(login = true) {
     const versionData = await mojangIndexProcessor.getVersionJson()
 
     if(login) {
-        const authUser = ConfigManager.getSelectedAccount()
+        // Make sure the access token outlives the game startup.
+        const access = await AuthManager.ensureLaunchAccess()
+        // Read the account after, the refresh may have migrated it.
+        let authUser = ConfigManager.getSelectedAccount()
+        if(access === AuthManager.AccessStatus.OFFLINE){
+            loggerLaunchSuite.warn('The auth backend is unreachable.')
+            setOfflineMode(true)
+            if(!await confirmOfflineLaunch(authUser.displayName)){
+                toggleLaunchArea(false)
+                return
+            }
+            loggerLaunchSuite.info('Launching in offline mode.')
+            authUser = AuthManager.getOfflineUser(authUser)
+        } else if(access !== AuthManager.AccessStatus.VALID){
+            loggerLaunchSuite.error('Unable to refresh the access token of the selected account.')
+            showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), Lang.queryJS('landing.dlAsync.accountSessionExpired'))
+            return
+        } else {
+            setOfflineMode(false)
+        }
         loggerLaunchSuite.info(`Sending selected account (${authUser.displayName}) to ProcessBuilder.`)
         let pb = new ProcessBuilder(serv, versionData, modLoaderData, authUser, remote.app.getVersion())
         setLaunchDetails(Lang.queryJS('landing.dlAsync.launchingGame'))
@@ -606,7 +892,7 @@ async function dlAsync(login = true) {
 
         try {
             // Build Minecraft process.
-            proc = pb.build()
+            proc = await pb.build()
 
             // Bind listeners to stdout.
             proc.stdout.on('data', tempListener)
@@ -716,7 +1002,7 @@ document.getElementById('newsButton').onclick = () => {
             $('#newsButtonAlert').fadeOut(2000)
             newsAlertShown = false
             ConfigManager.setNewsCacheDismissed(true)
-            ConfigManager.save()
+            ConfigManager.scheduleSave()
         }
     }
     slide_(!newsActive)
@@ -839,7 +1125,7 @@ async function initNews(){
             content: null,
             dismissed: false
         })
-        ConfigManager.save()
+        ConfigManager.scheduleSave()
 
         await $('#newsErrorLoading').fadeOut(250).promise()
         await $('#newsErrorNone').fadeIn(250).promise()
@@ -884,7 +1170,7 @@ async function initNews(){
                 content: newHash,
                 dismissed: false
             })
-            ConfigManager.save()
+            ConfigManager.scheduleSave()
         }
 
         const switchHandler = (forward) => {
@@ -3,6 +3,7 @@
  */
 // Validation Regexes.
 const validUsername         = /^[a-zA-Z0-9_]{1,16}$/
+const validTotpCode         = /^\d{6}$/
 const basicEmail            = /^\S+@\S+\.\S+$/
 //const validEmail          = /^(([^<>()\[\]\.,;:\s@\"]+(\.[^<>()\[\]\.,;:\s@\"]+)*)|(\".+\"))@(([^<>()[\]\.,;:\s@\"]+\.)+[^<>()[\]\.,;:\s@\"]{2,})$/i
 
@@ -17,10 +18,25 @@ const checkmarkContainer    = document.getElementById('checkmarkContainer')
 const loginRememberOption   = document.getElementById('loginRememberOption')
 const loginButton           = document.getElementById('loginButton')
 const loginForm             = document.getElementById('loginForm')
+const loginRegisterLink     = document.getElementById('loginRegisterLink')
+const loginForgotPasswordLink = document.getElementById('loginForgotPasswordLink')
+const loginSubheader        = document.getElementById('loginSubheader')
+const loginUsernameContainer = document.getElementById('loginUsernameContainer')
+const loginPasswordContainer = document.getElementById('loginPasswordContainer')
+const loginOptions          = document.getElementById('loginOptions')
+const loginCodeContainer    = document.getElementById('loginCodeContainer')
+const loginCodeError        = document.getElementById('loginCodeError')
+const loginCode             = document.getElementById('loginCode')
 
 // Control variables.
 let lu = false, lp = false
 
+// Challenge of a pending two-factor step, null when not in that step.
+let loginChallenge = null
+const loginSubheaderText = loginSubheader.innerHTML
+
+const loginLogger = LoggerUtil.getLogger('Login')
+
 
 /**
  * Show a login error.
@@ -90,7 +106,29 @@ function validatePassword(value){
     }
 }
 
+/**
+ * Validate that the two-factor code is six digits.
+ * 
+ * @param {string} value The code value.
+ */
+function validateCode(value){
+    if(validTotpCode.test(value.trim())){
+        loginCodeError.style.opacity = 0
+        loginDisabled(false)
+    } else {
+        showError(loginCodeError, Lang.queryJS('login.error.invalidCode'))
+        loginDisabled(true)
+    }
+}
+
 // Emphasize errors with shake when focus is lost.
+loginCode.addEventListener('focusout', (e) => {
+    validateCode(e.target.value)
+    shakeError(loginCodeError)
+})
+loginCode.addEventListener('input', (e) => {
+    validateCode(e.target.value)
+})
 loginUsername.addEventListener('focusout', (e) => {
     validateEmail(e.target.value)
     shakeError(loginEmailError)
@@ -144,6 +182,7 @@ function formDisabled(v){
     loginCancelButton.disabled = v
     loginUsername.disabled = v
     loginPassword.disabled = v
+    loginCode.disabled = v
     if(v){
         checkmarkContainer.setAttribute('disabled', v)
     } else {
@@ -152,6 +191,25 @@ function formDisabled(v){
     loginRememberOption.disabled = v
 }
 
+/**
+ * Switch the login form to the two-factor code step, or back to the
+ * username/password step.
+ * 
+ * @param {string | null} challenge The challenge returned by the backend, or null to leave the step.
+ */
+function setLoginSecondFactorStep(challenge){
+    loginChallenge = challenge
+    const inStep = challenge != null
+    $(loginUsernameContainer).toggle(!inStep)
+    $(loginPasswordContainer).toggle(!inStep)
+    $(loginOptions).toggle(!inStep)
+    $(loginCodeContainer).toggle(inStep)
+    loginSubheader.innerHTML = inStep ? Lang.queryJS('login.secondFactorSubheader') : loginSubheaderText
+    loginCode.value = ''
+    loginCodeError.style.opacity = 0
+    loginDisabled(inStep || !(lu && lp))
+}
+
 let loginViewOnSuccess = VIEWS.landing
 let loginViewOnCancel = VIEWS.settings
 let loginViewCancelHandler
@@ -168,6 +226,7 @@ loginCancelButton.onclick = (e) => {
     switchView(getCurrentView(), loginViewOnCancel, 500, 500, () => {
         loginUsername.value = ''
         loginPassword.value = ''
+        setLoginSecondFactorStep(null)
         loginCancelEnabled(false)
         if(loginViewCancelHandler != null){
             loginViewCancelHandler()
@@ -176,6 +235,26 @@ loginCancelButton.onclick = (e) => {
     })
 }
 
+// Open the register view, returning here if it is cancelled.
+loginRegisterLink.onclick = (e) => {
+    e.preventDefault()
+    switchView(getCurrentView(), VIEWS.register, 500, 500, () => {
+        registerViewOnSuccess = loginViewOnSuccess
+        registerViewOnCancel = VIEWS.login
+    })
+}
+
+// Open the password reset flow, returning here once done.
+loginForgotPasswordLink.onclick = (e) => {
+    e.preventDefault()
+    preparePasswordView(PASSWORD_MODE.REQUEST, {
+        onSuccess: VIEWS.login,
+        onCancel: VIEWS.login,
+        login: loginUsername.value
+    })
+    switchView(getCurrentView(), VIEWS.password)
+}
+
 // Disable default form behavior.
 loginForm.onsubmit = () => { return false }
 
@@ -187,22 +266,22 @@ loginButton.addEventListener('click', () => {
     // Show loading stuff.
     loginLoading(true)
 
-    AuthManager.addMojangAccount(loginUsername.value, loginPassword.value).then((value) => {
-        updateSelectedAccount(value)
+    const loginAttempt = loginChallenge != null
+        ? AuthManager.completeSecondFactor(loginChallenge, loginCode.value, loginUsername.value)
+        : AuthManager.addCustomAccount(loginUsername.value, loginPassword.value)
+
+    loginAttempt.then(() => {
         loginButton.innerHTML = loginButton.innerHTML.replace(Lang.queryJS('login.loggingIn'), Lang.queryJS('login.success'))
         $('.circle-loader').toggleClass('load-complete')
         $('.checkmark').toggle()
         setTimeout(() => {
-            switchView(VIEWS.login, loginViewOnSuccess, 500, 500, async () => {
-                // Temporary workaround
-                if(loginViewOnSuccess === VIEWS.settings){
-                    await prepareSettings()
-                }
+            switchView(VIEWS.login, loginViewOnSuccess, 500, 500, () => {
                 loginViewOnSuccess = VIEWS.landing // Reset this for good measure.
                 loginCancelEnabled(false) // Reset this for good measure.
                 loginViewCancelHandler = null // Reset this for good measure.
                 loginUsername.value = ''
                 loginPassword.value = ''
+                setLoginSecondFactorStep(null)
                 $('.circle-loader').toggleClass('load-complete')
                 $('.checkmark').toggle()
                 loginLoading(false)
@@ -213,19 +292,33 @@ loginButton.addEventListener('click', () => {
     }).catch((displayableError) => {
         loginLoading(false)
 
+        // The password was accepted, ask for the second factor.
+        if(displayableError?.secondFactor != null){
+            formDisabled(false)
+            setLoginSecondFactorStep(displayableError.secondFactor.challenge)
+            loginCode.focus()
+            return
+        }
+
         let actualDisplayableError
         if(isDisplayableError(displayableError)) {
-            msftLoginLogger.error('Error while logging in.', displayableError)
+            loginLogger.error('Error while logging in.', displayableError)
             actualDisplayableError = displayableError
         } else {
             // Uh oh.
-            msftLoginLogger.error('Unhandled error during login.', displayableError)
+            loginLogger.error('Unhandled error during login.', displayableError)
             actualDisplayableError = Lang.queryJS('login.error.unknown')
         }
 
         setOverlayContent(actualDisplayableError.title, actualDisplayableError.desc, Lang.queryJS('login.tryAgain'))
         setOverlayHandler(() => {
             formDisabled(false)
+            // An expired challenge cannot be retried, start over.
+            if(displayableError?.challengeExpired){
+                setLoginSecondFactorStep(null)
+            } else if(loginChallenge != null){
+                loginDisabled(true)
+            }
             toggleOverlay(false)
         })
         toggleOverlay(true)
@@ -1,6 +1,6 @@
 const loginOptionsCancelContainer = document.getElementById('loginOptionCancelContainer')
-const loginOptionMicrosoft = document.getElementById('loginOptionMicrosoft')
-const loginOptionMojang = document.getElementById('loginOptionMojang')
+const loginOptionCustom = document.getElementById('loginOptionCustom')
+const loginOptionRegister = document.getElementById('loginOptionRegister')
 const loginOptionsCancelButton = document.getElementById('loginOptionCancelButton')
 
 let loginOptionsCancellable = false
@@ -18,17 +18,7 @@ function loginOptionsCancelEnabled(val){
     }
 }
 
-loginOptionMicrosoft.onclick = (e) => {
-    switchView(getCurrentView(), VIEWS.waiting, 500, 500, () => {
-        ipcRenderer.send(
-            MSFT_OPCODE.OPEN_LOGIN,
-            loginOptionsViewOnLoginSuccess,
-            loginOptionsViewOnLoginCancel
-        )
-    })
-}
-
-loginOptionMojang.onclick = (e) => {
+loginOptionCustom.onclick = (e) => {
     switchView(getCurrentView(), VIEWS.login, 500, 500, () => {
         loginViewOnSuccess = loginOptionsViewOnLoginSuccess
         loginViewOnCancel = loginOptionsViewOnLoginCancel
@@ -36,10 +26,16 @@ loginOptionMojang.onclick = (e) => {
     })
 }
 
+loginOptionRegister.onclick = (e) => {
+    switchView(getCurrentView(), VIEWS.register, 500, 500, () => {
+        registerViewOnSuccess = loginOptionsViewOnLoginSuccess
+        registerViewOnCancel = VIEWS.loginOptions
+    })
+}
+
 loginOptionsCancelButton.onclick = (e) => {
     switchView(getCurrentView(), loginOptionsViewOnCancel, 500, 500, () => {
-        // Clear login values (Mojang login)
-        // No cleanup needed for Microsoft.
+        // Clear login values.
         loginUsername.value = ''
         loginPassword.value = ''
         if(loginOptionsViewCancelHandler != null){
@@ -171,6 +171,8 @@ function setDismissHandler(handler){
 
 /* Server Select View */
 
+const loggerOverlay = LoggerUtil.getLogger('Overlay')
+
 document.getElementById('serverSelectConfirm').addEventListener('click', async () => {
     const listings = document.getElementsByClassName('serverListing')
     for(let i=0; i<listings.length; i++){
@@ -190,16 +192,12 @@ document.getElementById('serverSelectConfirm').addEventListener('click', async (
     }
 })
 
-document.getElementById('accountSelectConfirm').addEventListener('click', async () => {
+document.getElementById('accountSelectConfirm').addEventListener('click', () => {
     const listings = document.getElementsByClassName('accountListing')
     for(let i=0; i<listings.length; i++){
         if(listings[i].hasAttribute('selected')){
-            const authAcc = ConfigManager.setSelectedAccount(listings[i].getAttribute('uuid'))
-            ConfigManager.save()
-            updateSelectedAccount(authAcc)
-            if(getCurrentView() === VIEWS.settings) {
-                await prepareSettings()
-            }
+            ConfigManager.setSelectedAccount(listings[i].getAttribute('uuid'))
+            ConfigManager.scheduleSave()
             toggleOverlay(false)
             validateSelectedAccount()
             return
@@ -207,12 +205,8 @@ document.getElementById('accountSelectConfirm').addEventListener('click', async
     }
     // None are selected? Not possible right? Meh, handle it.
     if(listings.length > 0){
-        const authAcc = ConfigManager.setSelectedAccount(listings[0].getAttribute('uuid'))
-        ConfigManager.save()
-        updateSelectedAccount(authAcc)
-        if(getCurrentView() === VIEWS.settings) {
-            await prepareSettings()
-        }
+        ConfigManager.setSelectedAccount(listings[0].getAttribute('uuid'))
+        ConfigManager.scheduleSave()
         toggleOverlay(false)
         validateSelectedAccount()
     }
@@ -232,6 +226,26 @@ document.getElementById('accountSelectCancel').addEventListener('click', () => {
 function setServerListingHandlers(){
     const listings = Array.from(document.getElementsByClassName('serverListing'))
     listings.map((val) => {
+        const serverId = val.getAttribute('servid')
+        const favoriteBtn = val.getElementsByClassName('serverListingFavorite')[0]
+        const notifyBtn = val.getElementsByClassName('serverListingNotify')[0]
+        // Starring a server must not select it.
+        favoriteBtn.onclick = e => {
+            e.stopPropagation()
+            const favorite = !ConfigManager.isFavoriteServer(serverId)
+            ConfigManager.setFavoriteServer(serverId, favorite)
+            ConfigManager.scheduleSave()
+            favoriteBtn.toggleAttribute('active', favorite)
+            notifyBtn.toggleAttribute('hidden', !favorite)
+            notifyBtn.removeAttribute('active')
+        }
+        notifyBtn.onclick = e => {
+            e.stopPropagation()
+            const notify = !ConfigManager.getServerNotify(serverId)
+            ConfigManager.setServerNotify(serverId, notify)
+            ConfigManager.scheduleSave()
+            notifyBtn.toggleAttribute('active', notify)
+        }
         val.onclick = e => {
             if(val.hasAttribute('selected')){
                 return
@@ -273,14 +287,25 @@ async function populateServerListings(){
     const servers = distro.servers
     let htmlString = ''
     for(const serv of servers){
+        const favorite = ConfigManager.isFavoriteServer(serv.rawServer.id)
         htmlString += `<button class="serverListing" servid="${serv.rawServer.id}" ${serv.rawServer.id === giaSel ? 'selected' : ''}>
+            <div class="serverListingActions">
+                <span class="serverListingNotify" role="button" title="${Lang.queryJS('overlay.serverFavorite.notify')}" ${ConfigManager.getServerNotify(serv.rawServer.id) ? 'active' : ''} ${favorite ? '' : 'hidden'}>
+                    <svg viewBox="0 0 16 16" width="12px" height="12px">
+                        <path d="M8,1A4,4,0,0,0,4,5V8L2,11H14L12,8V5A4,4,0,0,0,8,1ZM6.5,12a1.5,1.5,0,0,0,3,0Z"/>
+                    </svg>
+                </span>
+                <span class="serverListingFavorite" role="button" title="${Lang.queryJS('overlay.serverFavorite.favorite')}" ${favorite ? 'active' : ''}>&#9733;</span>
+            </div>
             <img class="serverListingImg" src="${serv.rawServer.icon}"/>
             <div class="serverListingDetails">
                 <span class="serverListingName">${serv.rawServer.name}</span>
                 <span class="serverListingDescription">${serv.rawServer.description}</span>
+                <span class="serverListingMotd"></span>
                 <div class="serverListingInfo">
                     <div class="serverListingVersion">${serv.rawServer.minecraftVersion}</div>
                     <div class="serverListingRevision">${serv.rawServer.version}</div>
+                    <div class="serverListingStatus">${Lang.queryJS('overlay.serverStatus.pinging')}</div>
                     ${serv.rawServer.mainServer ? `<div class="serverListingStarWrapper">
                         <svg id="Layer_1" viewBox="0 0 107.45 104.74" width="20px" height="20px">
                             <defs>
@@ -296,20 +321,80 @@ async function populateServerListings(){
         </button>`
     }
     document.getElementById('serverSelectListScrollable').innerHTML = htmlString
+    refreshServerListingStatuses(servers)
+
+}
+
+/**
+ * Ping every listed server and show its status on its listing. Statuses
+ * are shared with refreshServerStatus, see ServerStatus.getCachedStatus.
+ * 
+ * @param {Array.<Object>} servers The listed servers.
+ */
+function refreshServerListingStatuses(servers){
+    for(const serv of servers){
+        ServerStatus.getCachedStatus(serv.hostname, serv.port)
+            .then(servStat => servStat.online ? servStat : null)
+            .catch(err => {
+                loggerOverlay.debug(`Unable to ping ${serv.rawServer.id}.`, err)
+                return null
+            })
+            .then(servStat => {
+                // The list may have been rebuilt while pinging.
+                const listing = document.querySelector(`#serverSelectListScrollable .serverListing[servid="${serv.rawServer.id}"]`)
+                if(listing != null){
+                    setServerListingStatus(listing, servStat)
+                }
+            })
+    }
+}
 
+/**
+ * Show the status of a server on its listing.
+ * 
+ * @param {HTMLElement} listing The server listing.
+ * @param {Object} servStat The status of the server, or null if it is offline.
+ */
+function setServerListingStatus(listing, servStat){
+    const status = listing.getElementsByClassName('serverListingStatus')[0]
+    const motd = listing.getElementsByClassName('serverListingMotd')[0]
+    if(servStat == null){
+        status.setAttribute('offline', '')
+        status.textContent = Lang.queryJS('overlay.serverStatus.offline')
+        motd.textContent = ''
+        return
+    }
+    status.setAttribute('online', '')
+    status.textContent = Lang.queryJS('overlay.serverStatus.online', {
+        online: servStat.players.online,
+        max: servStat.players.max,
+        latency: servStat.latency
+    })
+    // The MOTD comes from the server, so it is assigned as text.
+    motd.textContent = servStat.motdText.trim()
+    motd.title = servStat.motdText
 }
 
 function populateAccountListings(){
     const accountsObj = ConfigManager.getAuthAccounts()
-    const accounts = Array.from(Object.keys(accountsObj), v=>accountsObj[v])
+    // Only list accounts of the selected server's auth backend.
+    const accounts = Array.from(Object.keys(accountsObj), v=>accountsObj[v]).filter(acc => AuthManager.isAccountForServer(acc))
     let htmlString = ''
     for(let i=0; i<accounts.length; i++){
         htmlString += `<button class="accountListing" uuid="${accounts[i].uuid}" ${i===0 ? 'selected' : ''}>
-            <img src="https://mc-heads.net/head/${accounts[i].uuid}/40">
+            <img width="40" height="40">
             <div class="accountListingName">${accounts[i].displayName}</div>
         </button>`
     }
     document.getElementById('accountSelectListScrollable').innerHTML = htmlString
+    for(const acc of accounts){
+        SkinRenderer.getAvatarURL(acc.uuid, AuthManager.getTextures(acc), SkinRenderer.VIEW.HEAD).then(url => {
+            const img = document.querySelector(`#accountSelectListScrollable .accountListing[uuid="${acc.uuid}"] img`)
+            if(img != null){
+                img.src = url
+            }
+        })
+    }
 
 }
 
@@ -0,0 +1,350 @@
+/**
+ * Script for password.ejs
+ *
+ * The view hosts both password flows:
+ *  - request: ask the backend to email a reset code.
+ *  - reset: submit the code along with a new password.
+ *  - change: change the password of a logged in account.
+ */
+const PASSWORD_MODE = {
+    REQUEST: 'request',
+    RESET: 'reset',
+    CHANGE: 'change'
+}
+
+// Password Elements
+const passwordCancelButton  = document.getElementById('passwordCancelButton')
+const passwordSubheader     = document.getElementById('passwordSubheader')
+const passwordLoginError    = document.getElementById('passwordLoginError')
+const passwordLogin         = document.getElementById('passwordLogin')
+const passwordCodeError     = document.getElementById('passwordCodeError')
+const passwordCode          = document.getElementById('passwordCode')
+const passwordCurrentError  = document.getElementById('passwordCurrentError')
+const passwordCurrent       = document.getElementById('passwordCurrent')
+const passwordNewError      = document.getElementById('passwordNewError')
+const passwordNew           = document.getElementById('passwordNew')
+const passwordConfirmError  = document.getElementById('passwordConfirmError')
+const passwordConfirm       = document.getElementById('passwordConfirm')
+const passwordButton        = document.getElementById('passwordButton')
+const passwordButtonText    = document.getElementById('passwordButtonText')
+const passwordForm          = document.getElementById('passwordForm')
+const passwordResendLink    = document.getElementById('passwordResendLink')
+
+const passwordLogger = LoggerUtil.getLogger('Password')
+
+// Control variables.
+let passwordMode = PASSWORD_MODE.REQUEST
+let passwordAccountUUID = null
+let passwordViewOnSuccess = VIEWS.login
+let passwordViewOnCancel = VIEWS.login
+
+// Validity of each field, only the fields of the current mode are considered.
+const passwordState = {
+    login: false,
+    code: false,
+    current: false,
+    new: false,
+    confirm: false
+}
+
+// Fields used by each mode.
+const PASSWORD_MODE_FIELDS = {
+    [PASSWORD_MODE.REQUEST]: ['login'],
+    [PASSWORD_MODE.RESET]: ['login', 'code', 'new', 'confirm'],
+    [PASSWORD_MODE.CHANGE]: ['current', 'new', 'confirm']
+}
+
+/**
+ * Update the state of a single field and refresh the submit button.
+ *
+ * @param {string} field The field key in passwordState.
+ * @param {HTMLElement} errorElement The error span of the field.
+ * @param {string | null} error The error text, or null if the value is valid.
+ */
+function setPasswordFieldState(field, errorElement, error){
+    if(error != null){
+        showError(errorElement, error)
+        passwordState[field] = false
+    } else {
+        errorElement.style.opacity = 0
+        passwordState[field] = true
+    }
+    passwordDisabled(!PASSWORD_MODE_FIELDS[passwordMode].every(f => passwordState[f]))
+}
+
+/**
+ * Validate that a field is not empty.
+ *
+ * @param {string} field The field key in passwordState.
+ * @param {HTMLElement} errorElement The error span of the field.
+ * @returns {function(string): void} The validator.
+ */
+function requiredPasswordField(field, errorElement){
+    return (value) => {
+        setPasswordFieldState(field, errorElement, value ? null : Lang.queryJS('password.error.requiredValue'))
+    }
+}
+
+/**
+ * Validate the new password field. The confirmation is re-validated as well
+ * since it depends on this value.
+ *
+ * @param {string} value The new password value.
+ */
+function validateNewPassword(value){
+    if(!value){
+        setPasswordFieldState('new', passwordNewError, Lang.queryJS('password.error.requiredValue'))
+    } else if(value.length < REGISTER_MIN_PASSWORD){
+        setPasswordFieldState('new', passwordNewError, Lang.queryJS('password.error.passwordTooShort', { min: REGISTER_MIN_PASSWORD }))
+    } else {
+        setPasswordFieldState('new', passwordNewError, null)
+    }
+    if(passwordConfirm.value){
+        validateConfirmPassword(passwordConfirm.value)
+    }
+}
+
+/**
+ * Validate that the confirmation matches the new password.
+ *
+ * @param {string} value The confirmation value.
+ */
+function validateConfirmPassword(value){
+    if(!value){
+        setPasswordFieldState('confirm', passwordConfirmError, Lang.queryJS('password.error.requiredValue'))
+    } else if(value !== passwordNew.value){
+        setPasswordFieldState('confirm', passwordConfirmError, Lang.queryJS('password.error.passwordMismatch'))
+    } else {
+        setPasswordFieldState('confirm', passwordConfirmError, null)
+    }
+}
+
+const passwordValidators = [
+    [passwordLogin, passwordLoginError, requiredPasswordField('login', passwordLoginError)],
+    [passwordCode, passwordCodeError, requiredPasswordField('code', passwordCodeError)],
+    [passwordCurrent, passwordCurrentError, requiredPasswordField('current', passwordCurrentError)],
+    [passwordNew, passwordNewError, validateNewPassword],
+    [passwordConfirm, passwordConfirmError, validateConfirmPassword]
+]
+
+for(const [input, errorElement, validator] of passwordValidators){
+    // Emphasize errors with shake when focus is lost.
+    input.addEventListener('focusout', (e) => {
+        validator(e.target.value)
+        shakeError(errorElement)
+    })
+    // Validate input for each field.
+    input.addEventListener('input', (e) => {
+        validator(e.target.value)
+    })
+}
+
+/**
+ * Enable or disable the submit button.
+ *
+ * @param {boolean} v True to disable, false to enable.
+ */
+function passwordDisabled(v){
+    if(passwordButton.disabled !== v){
+        passwordButton.disabled = v
+    }
+}
+
+/**
+ * Enable or disable loading elements.
+ *
+ * @param {boolean} v True to enable, false to disable.
+ */
+function passwordLoading(v){
+    if(v){
+        passwordButton.setAttribute('loading', v)
+    } else {
+        passwordButton.removeAttribute('loading')
+    }
+}
+
+/**
+ * Enable or disable the password form.
+ *
+ * @param {boolean} v True to disable, false to enable.
+ */
+function passwordFormDisabled(v){
+    passwordDisabled(v)
+    passwordCancelButton.disabled = v
+    for(const [input] of passwordValidators){
+        input.disabled = v
+    }
+}
+
+/**
+ * Switch the form to the given mode. Only the fields of the mode are shown.
+ * Values of fields shared between modes are kept.
+ *
+ * @param {string} mode One of PASSWORD_MODE.
+ */
+function setPasswordMode(mode){
+    passwordMode = mode
+    Array.from(passwordForm.querySelectorAll('[modes]')).map((val) => {
+        val.style.display = val.getAttribute('modes').split(' ').includes(mode) ? '' : 'none'
+    })
+    passwordSubheader.innerHTML = Lang.queryJS(`password.subheader.${mode}`)
+    passwordButtonText.innerHTML = Lang.queryJS(`password.button.${mode}`)
+    passwordDisabled(!PASSWORD_MODE_FIELDS[mode].every(f => passwordState[f]))
+}
+
+/**
+ * Clear all values and errors from the password form.
+ */
+function resetPasswordForm(){
+    for(const [input, errorElement] of passwordValidators){
+        input.value = ''
+        errorElement.style.opacity = 0
+    }
+    for(const field of Object.keys(passwordState)){
+        passwordState[field] = false
+    }
+    passwordDisabled(true)
+}
+
+/**
+ * Prepare the password view before switching to it.
+ *
+ * @param {string} mode One of PASSWORD_MODE.
+ * @param {Object} options
+ * @param {string} options.onSuccess The view to show once the flow completes.
+ * @param {string} options.onCancel The view to show if the flow is cancelled.
+ * @param {string} options.uuid The account to change the password of, for the change mode.
+ * @param {string} options.login Optional. Pre-fill the username or email, for the request mode.
+ */
+function preparePasswordView(mode, { onSuccess, onCancel, uuid = null, login = '' }){
+    resetPasswordForm()
+    passwordViewOnSuccess = onSuccess
+    passwordViewOnCancel = onCancel
+    passwordAccountUUID = uuid
+    if(login){
+        passwordLogin.value = login
+        passwordState.login = true
+    }
+    setPasswordMode(mode)
+}
+
+passwordCancelButton.onclick = (e) => {
+    switchView(getCurrentView(), passwordViewOnCancel, 500, 500, () => {
+        resetPasswordForm()
+    })
+}
+
+// Go back to the request step to have a new code sent.
+passwordResendLink.onclick = (e) => {
+    e.preventDefault()
+    setPasswordMode(PASSWORD_MODE.REQUEST)
+}
+
+/**
+ * Show a message on the overlay.
+ *
+ * @param {string} title The overlay title.
+ * @param {string} desc The overlay description.
+ * @param {string} button The text of the overlay button.
+ * @param {function} onDismiss Optional. Called when the overlay is dismissed.
+ */
+function showPasswordOverlay(title, desc, button, onDismiss = () => {}){
+    setOverlayContent(title, desc, button)
+    setOverlayHandler(() => {
+        onDismiss()
+        toggleOverlay(false)
+    })
+    toggleOverlay(true)
+}
+
+/**
+ * Show an error from the auth backend on the overlay.
+ *
+ * @param {Object} displayableError The error to display.
+ */
+function showPasswordError(displayableError){
+    let actualDisplayableError
+    if(isDisplayableError(displayableError)) {
+        passwordLogger.error('Error during password flow.', displayableError)
+        actualDisplayableError = displayableError
+    } else {
+        // Uh oh.
+        passwordLogger.error('Unhandled error during password flow.', displayableError)
+        actualDisplayableError = Lang.queryJS('password.error.unknown')
+    }
+    showPasswordOverlay(actualDisplayableError.title, actualDisplayableError.desc, Lang.queryJS('password.tryAgain'))
+}
+
+/**
+ * Leave the password view once the flow completed.
+ *
+ * @param {function} onSwitch Optional. Called once the password view has faded out.
+ */
+function finishPasswordFlow(onSwitch = () => {}){
+    switchView(VIEWS.password, passwordViewOnSuccess, 500, 500, () => {
+        onSwitch()
+        resetPasswordForm()
+    })
+}
+
+// Disable default form behavior.
+passwordForm.onsubmit = () => { return false }
+
+// Bind submit button behavior.
+passwordButton.addEventListener('click', async () => {
+    passwordFormDisabled(true)
+    passwordLoading(true)
+
+    const mode = passwordMode
+    try {
+        if(mode === PASSWORD_MODE.REQUEST){
+            await AuthManager.requestPasswordReset(passwordLogin.value)
+        } else if(mode === PASSWORD_MODE.RESET){
+            await AuthManager.resetPassword(passwordLogin.value, passwordCode.value, passwordNew.value)
+        } else {
+            await AuthManager.changePassword(passwordAccountUUID, passwordCurrent.value, passwordNew.value)
+        }
+    } catch(displayableError) {
+        passwordLoading(false)
+        passwordFormDisabled(false)
+        showPasswordError(displayableError)
+        return
+    }
+
+    passwordLoading(false)
+    passwordFormDisabled(false)
+
+    if(mode === PASSWORD_MODE.REQUEST){
+        passwordLogger.info('Password reset code requested.')
+        setPasswordMode(PASSWORD_MODE.RESET)
+        showPasswordOverlay(
+            Lang.queryJS('password.codeSent.title'),
+            Lang.queryJS('password.codeSent.desc'),
+            Lang.queryJS('password.okButton')
+        )
+    } else if(mode === PASSWORD_MODE.RESET){
+        passwordLogger.info('Password reset.')
+        const login = passwordLogin.value
+        finishPasswordFlow(() => {
+            // Pre-fill the login form when the flow started there.
+            if(passwordViewOnSuccess === VIEWS.login){
+                loginUsername.value = login
+                validateEmail(login)
+            }
+            showPasswordOverlay(
+                Lang.queryJS('password.resetDone.title'),
+                Lang.queryJS('password.resetDone.desc'),
+                Lang.queryJS('password.okButton')
+            )
+        })
+    } else {
+        passwordLogger.info('Password changed.')
+        finishPasswordFlow(() => {
+            showPasswordOverlay(
+                Lang.queryJS('password.changed.title'),
+                Lang.queryJS('password.changed.desc'),
+                Lang.queryJS('password.okButton')
+            )
+        })
+    }
+})
@@ -0,0 +1,324 @@
+/**
+ * Script for register.ejs
+ */
+// Validation Regexes.
+const validRegisterUsername     = /^[a-zA-Z0-9_]{3,16}$/
+const REGISTER_MIN_PASSWORD     = 6
+
+// Register Elements
+const registerCancelButton      = document.getElementById('registerCancelButton')
+const registerUsernameError     = document.getElementById('registerUsernameError')
+const registerUsername          = document.getElementById('registerUsername')
+const registerEmailError        = document.getElementById('registerEmailError')
+const registerEmail             = document.getElementById('registerEmail')
+const registerPasswordError     = document.getElementById('registerPasswordError')
+const registerPassword          = document.getElementById('registerPassword')
+const registerConfirmError      = document.getElementById('registerConfirmError')
+const registerConfirm           = document.getElementById('registerConfirm')
+const registerCheckmarkContainer = document.getElementById('registerCheckmarkContainer')
+const registerLoginAfterOption  = document.getElementById('registerLoginAfterOption')
+const registerButton            = document.getElementById('registerButton')
+const registerForm              = document.getElementById('registerForm')
+const registerHaveAccountLink   = document.getElementById('registerHaveAccountLink')
+
+const registerLogger = LoggerUtil.getLogger('Register')
+
+// Control variables.
+const registerState = {
+    username: false,
+    email: true,
+    password: false,
+    confirm: false
+}
+
+let registerViewOnSuccess = VIEWS.landing
+let registerViewOnCancel = VIEWS.loginOptions
+
+/**
+ * Update the state of a single field and refresh the register button.
+ *
+ * @param {string} field The field key in registerState.
+ * @param {HTMLElement} errorElement The error span of the field.
+ * @param {string | null} error The error text, or null if the value is valid.
+ */
+function setRegisterFieldState(field, errorElement, error){
+    if(error != null){
+        showError(errorElement, error)
+        registerState[field] = false
+    } else {
+        errorElement.style.opacity = 0
+        registerState[field] = true
+    }
+    registerDisabled(!Object.values(registerState).every(v => v))
+}
+
+/**
+ * Validate the username field.
+ *
+ * @param {string} value The username value.
+ */
+function validateRegisterUsername(value){
+    if(!value){
+        setRegisterFieldState('username', registerUsernameError, Lang.queryJS('register.error.requiredValue'))
+    } else if(!validRegisterUsername.test(value)){
+        setRegisterFieldState('username', registerUsernameError, Lang.queryJS('register.error.invalidUsername'))
+    } else {
+        setRegisterFieldState('username', registerUsernameError, null)
+    }
+}
+
+/**
+ * Validate the optional email field.
+ *
+ * @param {string} value The email value.
+ */
+function validateRegisterEmail(value){
+    if(value && !basicEmail.test(value)){
+        setRegisterFieldState('email', registerEmailError, Lang.queryJS('register.error.invalidEmail'))
+    } else {
+        setRegisterFieldState('email', registerEmailError, null)
+    }
+}
+
+/**
+ * Validate the password field. The confirmation is re-validated as well
+ * since it depends on this value.
+ *
+ * @param {string} value The password value.
+ */
+function validateRegisterPassword(value){
+    if(!value){
+        setRegisterFieldState('password', registerPasswordError, Lang.queryJS('register.error.requiredValue'))
+    } else if(value.length < REGISTER_MIN_PASSWORD){
+        setRegisterFieldState('password', registerPasswordError, Lang.queryJS('register.error.passwordTooShort', { min: REGISTER_MIN_PASSWORD }))
+    } else {
+        setRegisterFieldState('password', registerPasswordError, null)
+    }
+    if(registerConfirm.value){
+        validateRegisterConfirm(registerConfirm.value)
+    }
+}
+
+/**
+ * Validate that the confirmation matches the password.
+ *
+ * @param {string} value The confirmation value.
+ */
+function validateRegisterConfirm(value){
+    if(!value){
+        setRegisterFieldState('confirm', registerConfirmError, Lang.queryJS('register.error.requiredValue'))
+    } else if(value !== registerPassword.value){
+        setRegisterFieldState('confirm', registerConfirmError, Lang.queryJS('register.error.passwordMismatch'))
+    } else {
+        setRegisterFieldState('confirm', registerConfirmError, null)
+    }
+}
+
+const registerValidators = [
+    [registerUsername, registerUsernameError, validateRegisterUsername],
+    [registerEmail, registerEmailError, validateRegisterEmail],
+    [registerPassword, registerPasswordError, validateRegisterPassword],
+    [registerConfirm, registerConfirmError, validateRegisterConfirm]
+]
+
+for(const [input, errorElement, validator] of registerValidators){
+    // Emphasize errors with shake when focus is lost.
+    input.addEventListener('focusout', (e) => {
+        validator(e.target.value)
+        shakeError(errorElement)
+    })
+    // Validate input for each field.
+    input.addEventListener('input', (e) => {
+        validator(e.target.value)
+    })
+}
+
+/**
+ * Enable or disable the register button.
+ *
+ * @param {boolean} v True to disable, false to enable.
+ */
+function registerDisabled(v){
+    if(registerButton.disabled !== v){
+        registerButton.disabled = v
+    }
+}
+
+/**
+ * Enable or disable loading elements.
+ *
+ * @param {boolean} v True to enable, false to disable.
+ */
+function registerLoading(v){
+    if(v){
+        registerButton.setAttribute('loading', v)
+        registerButton.innerHTML = registerButton.innerHTML.replace(Lang.queryJS('register.register'), Lang.queryJS('register.registering'))
+    } else {
+        registerButton.removeAttribute('loading')
+        registerButton.innerHTML = registerButton.innerHTML.replace(Lang.queryJS('register.registering'), Lang.queryJS('register.register'))
+    }
+}
+
+/**
+ * Enable or disable the register form.
+ *
+ * @param {boolean} v True to disable, false to enable.
+ */
+function registerFormDisabled(v){
+    registerDisabled(v)
+    registerCancelButton.disabled = v
+    registerUsername.disabled = v
+    registerEmail.disabled = v
+    registerPassword.disabled = v
+    registerConfirm.disabled = v
+    if(v){
+        registerCheckmarkContainer.setAttribute('disabled', v)
+    } else {
+        registerCheckmarkContainer.removeAttribute('disabled')
+    }
+    registerLoginAfterOption.disabled = v
+}
+
+/**
+ * Clear all values and errors from the register form.
+ */
+function resetRegisterForm(){
+    for(const [input, errorElement] of registerValidators){
+        input.value = ''
+        errorElement.style.opacity = 0
+    }
+    registerState.username = false
+    registerState.email = true
+    registerState.password = false
+    registerState.confirm = false
+    registerLoginAfterOption.checked = true
+    registerDisabled(true)
+}
+
+registerCancelButton.onclick = (e) => {
+    switchView(getCurrentView(), registerViewOnCancel, 500, 500, () => {
+        resetRegisterForm()
+    })
+}
+
+// Switch to the login view, keeping the current navigation targets.
+registerHaveAccountLink.onclick = (e) => {
+    e.preventDefault()
+    switchView(getCurrentView(), VIEWS.login, 500, 500, () => {
+        loginViewOnSuccess = registerViewOnSuccess
+        loginViewOnCancel = registerViewOnCancel
+        loginCancelEnabled(true)
+        resetRegisterForm()
+    })
+}
+
+/**
+ * Show a displayable error on the overlay.
+ *
+ * @param {Object} displayableError The error to display.
+ * @param {function} onDismiss Optional. Called when the overlay is dismissed.
+ * Re-enables the form by default.
+ */
+function showRegisterError(displayableError, onDismiss = () => registerFormDisabled(false)){
+    let actualDisplayableError
+    if(isDisplayableError(displayableError)) {
+        registerLogger.error('Error while registering.', displayableError)
+        actualDisplayableError = displayableError
+    } else {
+        // Uh oh.
+        registerLogger.error('Unhandled error during registration.', displayableError)
+        actualDisplayableError = Lang.queryJS('register.error.unknown')
+    }
+
+    setOverlayContent(actualDisplayableError.title, actualDisplayableError.desc, Lang.queryJS('register.tryAgain'))
+    setOverlayHandler(() => {
+        onDismiss()
+        toggleOverlay(false)
+    })
+    toggleOverlay(true)
+}
+
+/**
+ * Complete the registration by switching to the next view.
+ *
+ * @param {string} next The view to switch to.
+ * @param {function} onSwitch Optional. Called once the register view has faded out.
+ */
+function finishRegistration(next, onSwitch = () => {}){
+    registerButton.innerHTML = registerButton.innerHTML.replace(Lang.queryJS('register.registering'), Lang.queryJS('register.success'))
+    $(registerButton).find('.circle-loader').toggleClass('load-complete')
+    $(registerButton).find('.checkmark').toggle()
+    setTimeout(() => {
+        switchView(VIEWS.register, next, 500, 500, async () => {
+            await onSwitch()
+            registerViewOnSuccess = VIEWS.landing // Reset this for good measure.
+            registerViewOnCancel = VIEWS.loginOptions // Reset this for good measure.
+            resetRegisterForm()
+            $(registerButton).find('.circle-loader').toggleClass('load-complete')
+            $(registerButton).find('.checkmark').toggle()
+            registerLoading(false)
+            registerButton.innerHTML = registerButton.innerHTML.replace(Lang.queryJS('register.success'), Lang.queryJS('register.register'))
+            registerFormDisabled(false)
+            registerDisabled(true)
+        })
+    }, 1000)
+}
+
+// Disable default form behavior.
+registerForm.onsubmit = () => { return false }
+
+// Bind register button behavior.
+registerButton.addEventListener('click', async () => {
+    // Disable form.
+    registerFormDisabled(true)
+
+    // Show loading stuff.
+    registerLoading(true)
+
+    const username = registerUsername.value
+    const password = registerPassword.value
+
+    try {
+        await AuthManager.registerAccount(username, password, registerEmail.value || null)
+    } catch(displayableError) {
+        registerLoading(false)
+        showRegisterError(displayableError)
+        return
+    }
+
+    registerLogger.info(`Registered account ${username}.`)
+
+    if(registerLoginAfterOption.checked){
+        try {
+            await AuthManager.addCustomAccount(username, password)
+        } catch(displayableError) {
+            // The account exists now, let the user retry from the login view.
+            registerLoading(false)
+            showRegisterError(displayableError, () => {
+                switchView(VIEWS.register, VIEWS.login, 500, 500, () => {
+                    loginViewOnSuccess = registerViewOnSuccess
+                    loginViewOnCancel = registerViewOnCancel
+                    loginCancelEnabled(true)
+                    loginUsername.value = username
+                    validateEmail(username)
+                    resetRegisterForm()
+                    registerFormDisabled(false)
+                    registerDisabled(true)
+                })
+            })
+            return
+        }
+        finishRegistration(registerViewOnSuccess)
+    } else {
+        const onSuccess = registerViewOnSuccess
+        const onCancel = registerViewOnCancel
+        finishRegistration(VIEWS.login, () => {
+            loginViewOnSuccess = onSuccess
+            loginViewOnCancel = onCancel
+            loginCancelEnabled(true)
+            loginUsername.value = username
+            validateEmail(username)
+        })
+    }
+
+})
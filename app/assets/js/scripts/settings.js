@@ -1,8 +1,10 @@
 // Requirements
 const os     = require('os')
 const semver = require('semver')
+const fs     = require('fs-extra')
 
 const DropinModUtil  = require('./assets/js/dropinmodutil')
+const SettingsBundle = require('./assets/js/settingsbundle')
 const { MSFT_OPCODE, MSFT_REPLY_TYPE, MSFT_ERROR } = require('./assets/js/ipcconstants')
 
 const settingsState = {
@@ -323,8 +325,9 @@ function settingsSaveDisabled(v){
 
 function fullSettingsSave() {
     saveSettingsValues()
+    saveGameOverrides()
     saveModConfiguration()
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
     saveDropinModConfiguration()
     saveShaderpackSettings()
 }
@@ -342,8 +345,8 @@ settingsNavDone.onclick = () => {
 const msftLoginLogger = LoggerUtil.getLogger('Microsoft Login')
 const msftLogoutLogger = LoggerUtil.getLogger('Microsoft Logout')
 
-// Bind the add mojang account button.
-document.getElementById('settingsAddMojangAccount').onclick = (e) => {
+// Bind the add account button.
+document.getElementById('settingsAddCustomAccount').onclick = (e) => {
     switchView(getCurrentView(), VIEWS.login, 500, 500, () => {
         loginViewOnCancel = VIEWS.settings
         loginViewOnSuccess = VIEWS.settings
@@ -351,13 +354,6 @@ document.getElementById('settingsAddMojangAccount').onclick = (e) => {
     })
 }
 
-// Bind the add microsoft account button.
-document.getElementById('settingsAddMicrosoftAccount').onclick = (e) => {
-    switchView(getCurrentView(), VIEWS.waiting, 500, 500, () => {
-        ipcRenderer.send(MSFT_OPCODE.OPEN_LOGIN, VIEWS.settings, VIEWS.settings)
-    })
-}
-
 // Bind reply for Microsoft Login.
 ipcRenderer.on(MSFT_OPCODE.REPLY_LOGIN, (_, ...arguments_) => {
     if (arguments_[0] === MSFT_REPLY_TYPE.ERROR) {
@@ -414,11 +410,8 @@ ipcRenderer.on(MSFT_OPCODE.REPLY_LOGIN, (_, ...arguments_) => {
             msftLoginLogger.info('Acquired authCode, proceeding with authentication.')
 
             const authCode = queryMap.code
-            AuthManager.addMicrosoftAccount(authCode).then(value => {
-                updateSelectedAccount(value)
-                switchView(getCurrentView(), viewOnClose, 500, 500, async () => {
-                    await prepareSettings()
-                })
+            AuthManager.addMicrosoftAccount(authCode).then(() => {
+                switchView(getCurrentView(), viewOnClose, 500, 500)
             })
                 .catch((displayableError) => {
 
@@ -454,15 +447,6 @@ function bindAuthAccountSelect(){
             if(val.hasAttribute('selected')){
                 return
             }
-            const selectBtns = document.getElementsByClassName('settingsAuthAccountSelect')
-            for(let i=0; i<selectBtns.length; i++){
-                if(selectBtns[i].hasAttribute('selected')){
-                    selectBtns[i].removeAttribute('selected')
-                    selectBtns[i].innerHTML = Lang.queryJS('settings.authAccountSelect.selectButton')
-                }
-            }
-            val.setAttribute('selected', '')
-            val.innerHTML = Lang.queryJS('settings.authAccountSelect.selectedButton')
             setSelectedAccount(val.closest('.settingsAuthAccount').getAttribute('uuid'))
         }
     })
@@ -501,6 +485,22 @@ function bindAuthAccountLogOut(){
     })
 }
 
+/**
+ * Bind functionality for the change password buttons.
+ */
+function bindAuthAccountChangePassword(){
+    Array.from(document.getElementsByClassName('settingsAuthAccountChangePassword')).map((val) => {
+        val.onclick = (e) => {
+            preparePasswordView(PASSWORD_MODE.CHANGE, {
+                onSuccess: VIEWS.settings,
+                onCancel: VIEWS.settings,
+                uuid: val.closest('.settingsAuthAccount').getAttribute('uuid')
+            })
+            switchView(getCurrentView(), VIEWS.password)
+        }
+    })
+}
+
 let msAccDomElementCache
 /**
  * Process a log out.
@@ -519,11 +519,8 @@ function processLogOut(val, isLastAccount){
             ipcRenderer.send(MSFT_OPCODE.OPEN_LOGOUT, uuid, isLastAccount)
         })
     } else {
-        AuthManager.removeMojangAccount(uuid).then(() => {
+        AuthManager.removeAccount(uuid).then(() => {
             if(!isLastAccount && uuid === prevSelAcc.uuid){
-                const selAcc = ConfigManager.getSelectedAccount()
-                refreshAuthAccountSelected(selAcc.uuid)
-                updateSelectedAccount(selAcc)
                 validateSelectedAccount()
             }
             if(isLastAccount) {
@@ -572,9 +569,6 @@ ipcRenderer.on(MSFT_OPCODE.REPLY_LOGOUT, (_, ...arguments_) => {
         AuthManager.removeMicrosoftAccount(uuid)
             .then(() => {
                 if(!isLastAccount && uuid === prevSelAcc.uuid){
-                    const selAcc = ConfigManager.getSelectedAccount()
-                    refreshAuthAccountSelected(selAcc.uuid)
-                    updateSelectedAccount(selAcc)
                     validateSelectedAccount()
                 }
                 if(isLastAccount) {
@@ -618,8 +612,7 @@ function refreshAuthAccountSelected(uuid){
     })
 }
 
-const settingsCurrentMicrosoftAccounts = document.getElementById('settingsCurrentMicrosoftAccounts')
-const settingsCurrentMojangAccounts = document.getElementById('settingsCurrentMojangAccounts')
+const settingsCurrentCustomAccounts = document.getElementById('settingsCurrentCustomAccounts')
 
 /**
  * Add auth account elements for each one stored in the authentication database.
@@ -630,17 +623,16 @@ function populateAuthAccounts(){
     if(authKeys.length === 0){
         return
     }
-    const selectedUUID = ConfigManager.getSelectedAccount().uuid
+    const selectedUUID = ConfigManager.getSelectedAccount()?.uuid
 
-    let microsoftAuthAccountStr = ''
-    let mojangAuthAccountStr = ''
+    let authAccountStr = ''
 
     authKeys.forEach((val) => {
         const acc = authAccounts[val]
 
         const accHtml = `<div class="settingsAuthAccount" uuid="${acc.uuid}">
             <div class="settingsAuthAccountLeft">
-                <img class="settingsAuthAccountImage" alt="${acc.displayName}" src="https://mc-heads.net/body/${acc.uuid}/60">
+                <img class="settingsAuthAccountImage" alt="${acc.displayName}">
             </div>
             <div class="settingsAuthAccountRight">
                 <div class="settingsAuthAccountDetails">
@@ -652,37 +644,550 @@ function populateAuthAccounts(){
                         <div class="settingsAuthAccountDetailTitle">${Lang.queryJS('settings.authAccountPopulate.uuid')}</div>
                         <div class="settingsAuthAccountDetailValue">${acc.uuid}</div>
                     </div>
+                    <div class="settingsAuthAccountDetailPane">
+                        <div class="settingsAuthAccountDetailTitle">${Lang.queryJS('settings.authAccountPopulate.authServer')}</div>
+                        <div class="settingsAuthAccountDetailValue">${AuthManager.getAccountAuthAPI(acc)}</div>
+                    </div>
                 </div>
                 <div class="settingsAuthAccountActions">
                     <button class="settingsAuthAccountSelect" ${selectedUUID === acc.uuid ? 'selected>' + Lang.queryJS('settings.authAccountPopulate.selectedAccount') : '>' + Lang.queryJS('settings.authAccountPopulate.selectAccount')}</button>
                     <div class="settingsAuthAccountWrapper">
+                        <button class="settingsAuthAccountChangePassword">${Lang.queryJS('settings.authAccountPopulate.changePassword')}</button>
                         <button class="settingsAuthAccountLogOut">${Lang.queryJS('settings.authAccountPopulate.logout')}</button>
                     </div>
                 </div>
             </div>
         </div>`
 
-        if(acc.type === 'microsoft') {
-            microsoftAuthAccountStr += accHtml
+        authAccountStr += accHtml
+
+    })
+
+    settingsCurrentCustomAccounts.innerHTML = authAccountStr
+    authKeys.forEach((val) => refreshAuthAccountImage(authAccounts[val]))
+}
+
+/**
+ * Render the avatar of an auth account element from the skin of the account.
+ * 
+ * @param {Object} acc The account.
+ */
+async function refreshAuthAccountImage(acc){
+    const url = await SkinRenderer.getAvatarURL(acc.uuid, AuthManager.getTextures(acc))
+    const elem = settingsCurrentCustomAccounts.querySelector(`.settingsAuthAccount[uuid="${acc.uuid}"] .settingsAuthAccountImage`)
+    if(elem != null){
+        elem.src = url
+    }
+}
+
+const settingsSessionsList = document.getElementById('settingsSessionsList')
+const settingsLogoutEverywhere = document.getElementById('settingsLogoutEverywhere')
+
+/**
+ * Show a status line (loading, empty, error) in place of the session list.
+ * 
+ * @param {string} text The text to display.
+ */
+function setSessionsStatus(text){
+    const status = document.createElement('span')
+    status.className = 'settingsSessionsStatus'
+    status.textContent = text
+    settingsSessionsList.replaceChildren(status)
+}
+
+/**
+ * Create the element of a single session. Values come from the backend,
+ * so they are assigned as text rather than markup.
+ * 
+ * @param {Object} session The session returned by the backend.
+ * @returns {HTMLElement} The session element.
+ */
+function createSessionElement(session){
+    const elem = document.createElement('div')
+    elem.className = 'settingsAuthAccount settingsSession'
+    elem.setAttribute('sessionid', session.id)
+    elem.innerHTML = `<div class="settingsAuthAccountRight">
+        <div class="settingsAuthAccountDetails">
+            <div class="settingsAuthAccountDetailPane">
+                <div class="settingsAuthAccountDetailTitle">${Lang.queryJS('settings.sessions.device')}</div>
+                <div class="settingsAuthAccountDetailValue"></div>
+            </div>
+            <div class="settingsAuthAccountDetailPane">
+                <div class="settingsAuthAccountDetailTitle">${Lang.queryJS('settings.sessions.ip')}</div>
+                <div class="settingsAuthAccountDetailValue"></div>
+            </div>
+            <div class="settingsAuthAccountDetailPane">
+                <div class="settingsAuthAccountDetailTitle">${Lang.queryJS('settings.sessions.lastUsed')}</div>
+                <div class="settingsAuthAccountDetailValue"></div>
+            </div>
+        </div>
+        <div class="settingsAuthAccountActions">
+            ${session.current
+        ? `<span class="settingsSessionCurrent">${Lang.queryJS('settings.sessions.current')}</span>`
+        : `<button class="settingsAuthAccountLogOut settingsSessionRevoke">${Lang.queryJS('settings.sessions.revoke')}</button>`}
+        </div>
+    </div>`
+
+    const unknown = Lang.queryJS('settings.sessions.unknown')
+    const values = elem.getElementsByClassName('settingsAuthAccountDetailValue')
+    values[0].textContent = session.device || unknown
+    values[1].textContent = session.ip || unknown
+    values[2].textContent = session.lastUsed ? new Date(session.lastUsed).toLocaleString() : unknown
+
+    return elem
+}
+
+/**
+ * Load the active sessions of the selected account from the backend.
+ */
+async function populateSessions(){
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        settingsSessionsList.replaceChildren()
+        return
+    }
+    setSessionsStatus(Lang.queryJS('settings.sessions.loading'))
+    let sessions
+    try {
+        sessions = await AuthManager.getSessions(selectedAcc.uuid)
+    } catch(displayableError) {
+        setSessionsStatus(Lang.queryJS('settings.sessions.loadFailed', { error: displayableError.desc }))
+        return
+    }
+    // The selected account may have changed while loading.
+    if(ConfigManager.getSelectedAccount()?.uuid !== selectedAcc.uuid){
+        return
+    }
+    if(sessions.length === 0){
+        setSessionsStatus(Lang.queryJS('settings.sessions.none'))
+        return
+    }
+    settingsSessionsList.replaceChildren(...sessions.map(createSessionElement))
+    bindSessionRevoke(selectedAcc.uuid)
+}
+
+/**
+ * Bind functionality for the session revoke buttons.
+ * 
+ * @param {string} uuid The UUID of the account owning the listed sessions.
+ */
+function bindSessionRevoke(uuid){
+    Array.from(settingsSessionsList.getElementsByClassName('settingsSessionRevoke')).map((val) => {
+        val.onclick = async (e) => {
+            const parent = val.closest('.settingsSession')
+            val.disabled = true
+            try {
+                await AuthManager.revokeSession(uuid, parent.getAttribute('sessionid'))
+            } catch(displayableError) {
+                val.disabled = false
+                setOverlayContent(
+                    Lang.queryJS('settings.sessions.revokeFailedTitle'),
+                    displayableError.desc,
+                    Lang.queryJS('settings.sessions.okButton')
+                )
+                setOverlayHandler(() => {
+                    toggleOverlay(false)
+                })
+                toggleOverlay(true)
+                return
+            }
+            $(parent).fadeOut(250, () => {
+                parent.remove()
+                if(settingsSessionsList.childElementCount === 0){
+                    setSessionsStatus(Lang.queryJS('settings.sessions.none'))
+                }
+            })
+        }
+    })
+}
+
+settingsLogoutEverywhere.onclick = (e) => {
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('settings.sessionsLogoutAll.confirmTitle'),
+        Lang.queryJS('settings.sessionsLogoutAll.confirmMessage', { account: selectedAcc.displayName }),
+        Lang.queryJS('settings.sessionsLogoutAll.confirmButton'),
+        Lang.queryJS('settings.sessionsLogoutAll.cancelButton')
+    )
+    setOverlayHandler(async () => {
+        toggleOverlay(false)
+        const isLastAccount = Object.keys(ConfigManager.getAuthAccounts()).length === 1
+        try {
+            await AuthManager.logoutEverywhere(selectedAcc.uuid)
+        } catch(displayableError) {
+            setOverlayContent(
+                Lang.queryJS('settings.sessionsLogoutAll.failedTitle'),
+                displayableError.desc,
+                Lang.queryJS('settings.sessions.okButton')
+            )
+            setOverlayHandler(() => {
+                toggleOverlay(false)
+            })
+            toggleOverlay(true)
+            return
+        }
+        if(isLastAccount){
+            loginOptionsCancelEnabled(false)
+            loginOptionsViewOnLoginSuccess = VIEWS.settings
+            loginOptionsViewOnLoginCancel = VIEWS.loginOptions
+            switchView(getCurrentView(), VIEWS.loginOptions)
+        } else {
+            validateSelectedAccount()
+        }
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+const settingsTwoFactorToggle     = document.getElementById('settingsTwoFactorToggle')
+const settingsTwoFactorStatus     = document.getElementById('settingsTwoFactorStatus')
+const settingsTwoFactorSetup      = document.getElementById('settingsTwoFactorSetup')
+const settingsTwoFactorSecret     = document.getElementById('settingsTwoFactorSecret')
+const settingsTwoFactorVerify     = document.getElementById('settingsTwoFactorVerify')
+const settingsTwoFactorVerifyDesc = document.getElementById('settingsTwoFactorVerifyDesc')
+const settingsTwoFactorCode       = document.getElementById('settingsTwoFactorCode')
+const settingsTwoFactorConfirm    = document.getElementById('settingsTwoFactorConfirm')
+
+const TWO_FACTOR_STATE = {
+    UNKNOWN: 'unknown',
+    ENABLED: 'enabled',
+    DISABLED: 'disabled',
+    SETUP: 'setup',
+    DISABLING: 'disabling'
+}
+let twoFactorState = TWO_FACTOR_STATE.UNKNOWN
+
+/**
+ * Update the two-factor section of the selected account.
+ * 
+ * @param {string} state One of TWO_FACTOR_STATE.
+ * @param {string} status Optional. The status text to display.
+ */
+function setTwoFactorState(state, status = ''){
+    twoFactorState = state
+    settingsTwoFactorStatus.textContent = status
+    settingsTwoFactorCode.value = ''
+
+    const verifying = state === TWO_FACTOR_STATE.SETUP || state === TWO_FACTOR_STATE.DISABLING
+    $(settingsTwoFactorSetup).toggle(state === TWO_FACTOR_STATE.SETUP)
+    $(settingsTwoFactorVerify).toggle(verifying)
+    if(verifying){
+        settingsTwoFactorVerifyDesc.innerHTML = Lang.queryJS(state === TWO_FACTOR_STATE.SETUP ? 'settings.twoFactor.verifyEnable' : 'settings.twoFactor.verifyDisable')
+    }
+
+    if(state === TWO_FACTOR_STATE.UNKNOWN){
+        $(settingsTwoFactorToggle).hide()
+    } else {
+        settingsTwoFactorToggle.innerHTML = Lang.queryJS(verifying
+            ? 'settings.twoFactor.cancelButton'
+            : state === TWO_FACTOR_STATE.ENABLED ? 'settings.twoFactor.disableButton' : 'settings.twoFactor.enableButton')
+        $(settingsTwoFactorToggle).show()
+    }
+}
+
+/**
+ * Show a two-factor error on the overlay.
+ * 
+ * @param {Object} displayableError The error returned by AuthManager.
+ */
+function showTwoFactorError(displayableError){
+    setOverlayContent(
+        Lang.queryJS('settings.twoFactor.failedTitle'),
+        displayableError.desc,
+        Lang.queryJS('settings.twoFactor.okButton')
+    )
+    setOverlayHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true)
+}
+
+/**
+ * Load the two-factor status of the selected account from the backend.
+ */
+async function populateTwoFactor(){
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        setTwoFactorState(TWO_FACTOR_STATE.UNKNOWN)
+        return
+    }
+    setTwoFactorState(TWO_FACTOR_STATE.UNKNOWN, Lang.queryJS('settings.twoFactor.loading'))
+    let enabled
+    try {
+        enabled = await AuthManager.getTwoFactorStatus(selectedAcc.uuid)
+    } catch(displayableError) {
+        setTwoFactorState(TWO_FACTOR_STATE.UNKNOWN, Lang.queryJS('settings.twoFactor.loadFailed', { error: displayableError.desc }))
+        return
+    }
+    // The selected account may have changed while loading.
+    if(ConfigManager.getSelectedAccount()?.uuid !== selectedAcc.uuid){
+        return
+    }
+    if(enabled){
+        setTwoFactorState(TWO_FACTOR_STATE.ENABLED, Lang.queryJS('settings.twoFactor.enabled'))
+    } else {
+        setTwoFactorState(TWO_FACTOR_STATE.DISABLED, Lang.queryJS('settings.twoFactor.disabled'))
+    }
+}
+
+settingsTwoFactorToggle.onclick = async (e) => {
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        return
+    }
+    if(twoFactorState === TWO_FACTOR_STATE.ENABLED){
+        setTwoFactorState(TWO_FACTOR_STATE.DISABLING)
+    } else if(twoFactorState === TWO_FACTOR_STATE.DISABLED){
+        settingsTwoFactorToggle.disabled = true
+        try {
+            const { secret } = await AuthManager.setupTwoFactor(selectedAcc.uuid)
+            settingsTwoFactorSecret.textContent = secret
+            setTwoFactorState(TWO_FACTOR_STATE.SETUP)
+        } catch(displayableError) {
+            showTwoFactorError(displayableError)
+        } finally {
+            settingsTwoFactorToggle.disabled = false
+        }
+    } else {
+        // Cancel the setup or disable step.
+        settingsTwoFactorSecret.textContent = ''
+        populateTwoFactor()
+    }
+}
+
+settingsTwoFactorConfirm.onclick = async (e) => {
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    const code = settingsTwoFactorCode.value
+    if(selectedAcc == null || !code){
+        return
+    }
+    settingsTwoFactorConfirm.disabled = true
+    try {
+        if(twoFactorState === TWO_FACTOR_STATE.SETUP){
+            await AuthManager.enableTwoFactor(selectedAcc.uuid, code)
         } else {
-            mojangAuthAccountStr += accHtml
+            await AuthManager.disableTwoFactor(selectedAcc.uuid, code)
         }
+        settingsTwoFactorSecret.textContent = ''
+        populateTwoFactor()
+    } catch(displayableError) {
+        settingsTwoFactorCode.value = ''
+        showTwoFactorError(displayableError)
+    } finally {
+        settingsTwoFactorConfirm.disabled = false
+    }
+}
+
+const settingsSkinFront   = document.getElementById('settingsSkinFront')
+const settingsSkinBack    = document.getElementById('settingsSkinBack')
+const settingsSkinStatus  = document.getElementById('settingsSkinStatus')
+const settingsSkinSlim    = document.getElementById('settingsSkinSlim')
+const settingsSkinUpload  = document.getElementById('settingsSkinUpload')
+const settingsSkinRemove  = document.getElementById('settingsSkinRemove')
+const settingsCapeUpload  = document.getElementById('settingsCapeUpload')
+const settingsCapeRemove  = document.getElementById('settingsCapeRemove')
 
+/**
+ * Enable or disable the skin and cape buttons.
+ * 
+ * @param {boolean} enabled Whether the buttons should be enabled.
+ * @param {Object} textures Optional. The textures of the selected account,
+ * the remove buttons are only enabled if there is something to remove.
+ */
+function setSkinControlsEnabled(enabled, textures = null){
+    settingsSkinUpload.disabled = !enabled
+    settingsCapeUpload.disabled = !enabled
+    settingsSkinSlim.disabled = !enabled
+    settingsSkinRemove.disabled = !enabled || textures?.skin == null
+    settingsCapeRemove.disabled = !enabled || textures?.cape == null
+}
+
+/**
+ * Draw the skin preview of the selected account.
+ * 
+ * @param {Object} textures The textures of the account.
+ */
+async function renderSkinPreview(textures){
+    for(const canvas of [settingsSkinFront, settingsSkinBack]){
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height)
+    }
+    if(textures.skin == null){
+        settingsSkinStatus.textContent = Lang.queryJS('settings.skin.noSkin')
+        return
+    }
+    settingsSkinStatus.textContent = ''
+    settingsSkinSlim.checked = textures.skin.model === AuthManager.SkinModel.SLIM
+    const options = { slim: settingsSkinSlim.checked, capeURL: textures.cape?.url }
+    try {
+        await SkinRenderer.renderBody(settingsSkinFront, textures.skin.url, options)
+        await SkinRenderer.renderBody(settingsSkinBack, textures.skin.url, { ...options, back: true })
+    } catch(err) {
+        settingsSkinStatus.textContent = Lang.queryJS('settings.skin.previewFailed')
+    }
+}
+
+/**
+ * Show new textures of the selected account everywhere they are used.
+ * 
+ * @param {string} uuid The UUID of the account.
+ * @param {Object} textures The new textures of the account.
+ */
+function applyTextures(uuid, textures){
+    if(ConfigManager.getSelectedAccount()?.uuid !== uuid){
+        return
+    }
+    setSkinControlsEnabled(true, textures)
+    renderSkinPreview(textures)
+    refreshAuthAccountImage(ConfigManager.getAuthAccount(uuid))
+}
+
+/**
+ * Show the textures of the selected account. The stored textures are shown
+ * right away, then refreshed from the backend.
+ */
+async function populateSkin(){
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        setSkinControlsEnabled(false)
+        return
+    }
+    setSkinControlsEnabled(false)
+    renderSkinPreview(AuthManager.getTextures(selectedAcc))
+    let textures
+    try {
+        textures = await AuthManager.loadTextures(selectedAcc.uuid)
+    } catch(displayableError) {
+        settingsSkinStatus.textContent = Lang.queryJS('settings.skin.loadFailed', { error: displayableError.desc })
+        return
+    }
+    applyTextures(selectedAcc.uuid, textures)
+}
+
+/**
+ * Show a skin or cape error on the overlay.
+ * 
+ * @param {Object} displayableError The error returned by AuthManager.
+ */
+function showSkinError(displayableError){
+    setOverlayContent(
+        Lang.queryJS('settings.skin.failedTitle'),
+        displayableError.desc,
+        Lang.queryJS('settings.skin.okButton')
+    )
+    setOverlayHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true)
+}
+
+/**
+ * Run a skin or cape change for the selected account, keeping the buttons
+ * disabled until it completes.
+ * 
+ * @param {function(string): Promise<Object>} change The AuthManager call, receives the account UUID.
+ */
+async function changeSkin(change){
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    if(selectedAcc == null){
+        return
+    }
+    setSkinControlsEnabled(false)
+    try {
+        applyTextures(selectedAcc.uuid, await change(selectedAcc.uuid))
+    } catch(displayableError) {
+        setSkinControlsEnabled(true, AuthManager.getTextures(ConfigManager.getAuthAccount(selectedAcc.uuid)))
+        renderSkinPreview(AuthManager.getTextures(ConfigManager.getAuthAccount(selectedAcc.uuid)))
+        showSkinError(displayableError)
+    }
+}
+
+/**
+ * Ask the user for a PNG texture file.
+ * 
+ * @param {string} title The title of the dialog.
+ * @returns {Promise.<Buffer|null>} The content of the file, or null if cancelled.
+ */
+async function chooseTextureFile(title){
+    const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+        title,
+        properties: ['openFile'],
+        filters: [{ name: Lang.queryJS('settings.skin.pngFiles'), extensions: ['png'] }]
     })
+    return res.canceled ? null : fs.readFile(res.filePaths[0])
+}
+
+settingsSkinUpload.onclick = async (e) => {
+    const image = await chooseTextureFile(Lang.queryJS('settings.skin.chooseSkin'))
+    if(image != null){
+        const model = settingsSkinSlim.checked ? AuthManager.SkinModel.SLIM : AuthManager.SkinModel.CLASSIC
+        await changeSkin(uuid => AuthManager.uploadSkin(uuid, image, model))
+    }
+}
+
+settingsSkinSlim.onchange = async (e) => {
+    const selectedAcc = ConfigManager.getSelectedAccount()
+    // Without a skin, the model only applies to the next upload.
+    if(selectedAcc == null || AuthManager.getTextures(selectedAcc).skin == null){
+        return
+    }
+    const model = settingsSkinSlim.checked ? AuthManager.SkinModel.SLIM : AuthManager.SkinModel.CLASSIC
+    await changeSkin(uuid => AuthManager.setSkinModel(uuid, model))
+}
+
+settingsSkinRemove.onclick = async (e) => {
+    await changeSkin(uuid => AuthManager.removeSkin(uuid))
+}
+
+settingsCapeUpload.onclick = async (e) => {
+    const image = await chooseTextureFile(Lang.queryJS('settings.skin.chooseCape'))
+    if(image != null){
+        await changeSkin(uuid => AuthManager.uploadCape(uuid, image))
+    }
+}
 
-    settingsCurrentMicrosoftAccounts.innerHTML = microsoftAuthAccountStr
-    settingsCurrentMojangAccounts.innerHTML = mojangAuthAccountStr
+settingsCapeRemove.onclick = async (e) => {
+    await changeSkin(uuid => AuthManager.removeCape(uuid))
 }
 
 /**
  * Prepare the accounts tab for display.
+ * 
+ * @param {boolean} first Whether or not it is the first load. Sessions, the
+ * two-factor status and the skin are only loaded once the settings are opened.
  */
-function prepareAccountsTab() {
+function prepareAccountsTab(first = false) {
+    refreshAuthAccounts()
+    if(!first){
+        populateSessions()
+        populateTwoFactor()
+        populateSkin()
+    }
+}
+
+/**
+ * Rebuild the auth account elements and bind their buttons.
+ */
+function refreshAuthAccounts(){
     populateAuthAccounts()
     bindAuthAccountSelect()
     bindAuthAccountLogOut()
+    bindAuthAccountChangePassword()
 }
 
+// Accounts may be added, removed or selected from other views.
+ConfigManager.subscribe('authenticationDatabase', refreshAuthAccounts)
+ConfigManager.subscribe('selectedAccount', (uuid) => {
+    refreshAuthAccountSelected(uuid)
+    populateSessions()
+    populateTwoFactor()
+    populateSkin()
+})
+
 /**
  * Minecraft Tab
  */
@@ -701,6 +1206,144 @@ document.getElementById('settingsGameHeight').addEventListener('keydown', (e) =>
     }
 })
 
+// Server whose game overrides are shown, saved back to it even if the selection changed since.
+let gameOverridesServer = null
+
+/**
+ * Get the selector of a per server game setting.
+ * 
+ * @param {string} setting The override attribute of the setting's row.
+ * @returns {HTMLElement} The row of the setting.
+ */
+function getGameOverrideRow(setting){
+    return document.querySelector(`.settingsGameOverride[override="${setting}"]`)
+}
+
+/**
+ * Show the mode of a per server game setting: 'inherit' or its overridden
+ * value ('true', 'false' or 'custom' for the resolution).
+ * 
+ * @param {HTMLElement} row The row of the setting.
+ * @param {string} value The selected option.
+ */
+function setGameOverrideMode(row, value){
+    const select = row.getElementsByClassName('settingsGameOverrideSelect')[0]
+    for(const opt of select.getElementsByClassName('settingsSelectOptions')[0].children){
+        opt.toggleAttribute('selected', opt.getAttribute('value') === value)
+        if(opt.getAttribute('value') === value){
+            select.getElementsByClassName('settingsSelectSelected')[0].innerHTML = opt.innerHTML
+        }
+    }
+    select.setAttribute('value', value)
+
+    const setting = row.getAttribute('override')
+    let desc
+    if(value !== 'inherit'){
+        desc = Lang.queryJS('settings.gameOverrides.overridden')
+    } else if(setting === 'resolution'){
+        desc = Lang.queryJS('settings.gameOverrides.inherited', {
+            value: Lang.queryJS('settings.gameOverrides.resolution', { width: ConfigManager.getGameWidth(), height: ConfigManager.getGameHeight() })
+        })
+    } else {
+        const globalValue = {
+            fullscreen: ConfigManager.getFullscreen,
+            autoConnect: ConfigManager.getAutoConnect,
+            launchDetached: ConfigManager.getLaunchDetached
+        }[setting]()
+        desc = Lang.queryJS('settings.gameOverrides.inherited', {
+            value: Lang.queryJS(globalValue ? 'settings.gameOverrides.on' : 'settings.gameOverrides.off')
+        })
+    }
+    row.getElementsByClassName('settingsGameOverrideDesc')[0].innerHTML = desc
+    if(setting === 'resolution'){
+        document.getElementById('settingsGameOverrideResolution').style.display = value === 'custom' ? '' : 'none'
+        // An inherited resolution is not saved, it cannot block saving.
+        if(value === 'inherit'){
+            for(const input of document.querySelectorAll('#settingsGameOverrideResolution input[error]')){
+                input.removeAttribute('error')
+                settingsState.invalid.delete(input.id)
+            }
+            if(settingsState.invalid.size === 0){
+                settingsSaveDisabled(false)
+            }
+        }
+    }
+}
+
+for(const row of document.getElementsByClassName('settingsGameOverride')){
+    for(const opt of row.querySelectorAll('.settingsSelectOptions div')){
+        opt.addEventListener('click', () => {
+            setGameOverrideMode(row, opt.getAttribute('value'))
+            closeSettingsSelect()
+        })
+    }
+}
+
+for(const [id, validate] of [
+    ['settingsGameOverrideWidth', ConfigManager.validateGameWidth],
+    ['settingsGameOverrideHeight', ConfigManager.validateGameHeight]
+]){
+    const input = document.getElementById(id)
+    input.addEventListener('keydown', (e) => {
+        if(/^[-.eE]$/.test(e.key)){
+            e.preventDefault()
+        }
+    })
+    // Same validation as the global resolution, see initSettingsValidators.
+    input.addEventListener('keyup', () => {
+        if(!validate(input.value)){
+            settingsState.invalid.add(input.id)
+            input.setAttribute('error', '')
+            settingsSaveDisabled(true)
+        } else if(input.hasAttribute('error')){
+            input.removeAttribute('error')
+            settingsState.invalid.delete(input.id)
+            if(settingsState.invalid.size === 0){
+                settingsSaveDisabled(false)
+            }
+        }
+    })
+}
+
+/**
+ * Show the game settings overridden for the selected server.
+ */
+function prepareMinecraftTab(){
+    gameOverridesServer = ConfigManager.getSelectedServer()
+    const overrides = ConfigManager.getGameOverrides(gameOverridesServer)
+
+    const customResolution = overrides.resWidth != null || overrides.resHeight != null
+    const settings = ConfigManager.getGameSettings(gameOverridesServer)
+    document.getElementById('settingsGameOverrideWidth').value = settings.resWidth
+    document.getElementById('settingsGameOverrideHeight').value = settings.resHeight
+    setGameOverrideMode(getGameOverrideRow('resolution'), customResolution ? 'custom' : 'inherit')
+
+    for(const setting of ['fullscreen', 'autoConnect', 'launchDetached']){
+        setGameOverrideMode(getGameOverrideRow(setting), overrides[setting] != null ? String(overrides[setting]) : 'inherit')
+    }
+}
+
+/**
+ * Save the game settings overridden for the server shown in the Minecraft tab.
+ */
+function saveGameOverrides(){
+    if(gameOverridesServer == null){
+        return
+    }
+    const modeOf = setting => getGameOverrideRow(setting).getElementsByClassName('settingsGameOverrideSelect')[0].getAttribute('value')
+    const overrides = {}
+    if(modeOf('resolution') === 'custom'){
+        overrides.resWidth = Number.parseInt(document.getElementById('settingsGameOverrideWidth').value)
+        overrides.resHeight = Number.parseInt(document.getElementById('settingsGameOverrideHeight').value)
+    }
+    for(const setting of ['fullscreen', 'autoConnect', 'launchDetached']){
+        if(modeOf(setting) !== 'inherit'){
+            overrides[setting] = modeOf(setting) === 'true'
+        }
+    }
+    ConfigManager.setGameOverrides(gameOverridesServer, overrides)
+}
+
 /**
  * Mods Tab
  */
@@ -1111,7 +1754,7 @@ Array.from(document.getElementsByClassName('settingsSwitchServerButton')).forEac
  */
 function saveAllModConfigurations(){
     saveModConfiguration()
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
     saveDropinModConfiguration()
 }
 
@@ -1152,6 +1795,7 @@ const settingsMinRAMLabel     = document.getElementById('settingsMinRAMLabel')
 const settingsMemoryTotal     = document.getElementById('settingsMemoryTotal')
 const settingsMemoryAvail     = document.getElementById('settingsMemoryAvail')
 const settingsJavaExecDetails = document.getElementById('settingsJavaExecDetails')
+const settingsJavaExecVal     = document.getElementById('settingsJavaExecVal')
 const settingsJavaReqDesc     = document.getElementById('settingsJavaReqDesc')
 const settingsJvmOptsLink     = document.getElementById('settingsJvmOptsLink')
 
@@ -1380,6 +2024,15 @@ function bindMinMaxRam(server) {
     settingsMinRAMRange.setAttribute('min', SETTINGS_MIN_MEMORY)
 }
 
+// The executable may be set from the landing page, ex. after a Java download.
+ConfigManager.subscribe('javaConfig', async (javaConfig) => {
+    const execPath = javaConfig[ConfigManager.getSelectedServer()]?.executable
+    if(execPath != null && settingsJavaExecVal.value !== execPath){
+        settingsJavaExecVal.value = execPath
+        await populateJavaExecDetails(execPath)
+    }
+})
+
 /**
  * Prepare the Java tab for display.
  */
@@ -1392,6 +2045,293 @@ async function prepareJavaTab(){
     populateJvmOptsLink(server)
 }
 
+/**
+ * Launcher Tab
+ */
+
+const settingsAuthAPI           = document.getElementById('settingsAuthAPI')
+const settingsAuthAPITest       = document.getElementById('settingsAuthAPITest')
+const settingsAuthAPIWarning    = document.getElementById('settingsAuthAPIWarning')
+const settingsAuthAPIStatus     = document.getElementById('settingsAuthAPIStatus')
+
+/**
+ * Check if an Auth API URL would send credentials unencrypted over the
+ * network. Plain HTTP is accepted for a backend running on this machine.
+ * 
+ * @param {string} url The Auth API URL.
+ * @returns {boolean} True if the URL uses HTTP for a remote host.
+ */
+function isInsecureAuthAPI(url){
+    try {
+        const { protocol, hostname } = new URL(url.trim())
+        return protocol === 'http:'
+            && !['localhost', '127.0.0.1', '[::1]'].includes(hostname)
+            && !hostname.endsWith('.localhost')
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Show the result of the connection test below the Auth API field.
+ * 
+ * @param {string} text The text to display, empty to clear it.
+ * @param {string} state Optional. Either 'success' or 'error'.
+ */
+function setAuthAPIStatus(text, state = null){
+    settingsAuthAPIStatus.textContent = text
+    settingsAuthAPIStatus.removeAttribute('success')
+    settingsAuthAPIStatus.removeAttribute('error')
+    if(state != null){
+        settingsAuthAPIStatus.setAttribute(state, '')
+    }
+}
+
+/**
+ * Refresh the HTTPS warning and the test button for the current value
+ * of the Auth API field.
+ */
+function refreshAuthAPIField(){
+    const valid = ConfigManager.validateAuthAPI(settingsAuthAPI.value)
+    settingsAuthAPIWarning.style.display = valid && isInsecureAuthAPI(settingsAuthAPI.value) ? '' : 'none'
+    settingsAuthAPITest.disabled = !valid
+}
+
+settingsAuthAPI.addEventListener('input', () => {
+    refreshAuthAPIField()
+    setAuthAPIStatus('')
+})
+
+// Probe the URL in the field, it does not have to be saved yet.
+settingsAuthAPITest.onclick = async () => {
+    settingsAuthAPITest.disabled = true
+    setAuthAPIStatus(Lang.queryJS('settings.authAPI.testing'))
+    const { ok, latency, status, error } = await AuthManager.testConnection(settingsAuthAPI.value)
+    if(ok){
+        setAuthAPIStatus(Lang.queryJS('settings.authAPI.connected', { latency }), 'success')
+    } else if(status === 0){
+        setAuthAPIStatus(Lang.queryJS('settings.authAPI.unreachable', { error }), 'error')
+    } else if(status === 404){
+        setAuthAPIStatus(Lang.queryJS('settings.authAPI.notAuthServer', { latency }), 'error')
+    } else {
+        setAuthAPIStatus(Lang.queryJS('settings.authAPI.badResponse', { status, latency }), 'error')
+    }
+    refreshAuthAPIField()
+}
+
+const settingsBundleSections = document.getElementById('settingsBundleSections')
+const settingsBundleExport   = document.getElementById('settingsBundleExport')
+const settingsBundleImport   = document.getElementById('settingsBundleImport')
+const settingsBundlePreview  = document.getElementById('settingsBundlePreview')
+const settingsBundleChanges  = document.getElementById('settingsBundleChanges')
+const settingsBundleApply    = document.getElementById('settingsBundleApply')
+const settingsBundleCancel   = document.getElementById('settingsBundleCancel')
+const settingsBundleStatus   = document.getElementById('settingsBundleStatus')
+
+// The bundle being previewed, with the sections selected when it was opened.
+let pendingSettingsBundle = null
+
+/**
+ * @returns {Array.<string>} The sections selected for export and import.
+ */
+function getBundleSections(){
+    return Array.from(settingsBundleSections.getElementsByTagName('input'))
+        .filter(input => input.checked)
+        .map(input => input.getAttribute('section'))
+}
+
+/**
+ * Show the result of an export or import below the bundle actions.
+ * 
+ * @param {string} text The text to display, empty to clear it.
+ * @param {string} state Optional. Either 'success' or 'error'.
+ */
+function setBundleStatus(text, state = null){
+    settingsBundleStatus.textContent = text
+    settingsBundleStatus.removeAttribute('success')
+    settingsBundleStatus.removeAttribute('error')
+    if(state != null){
+        settingsBundleStatus.setAttribute(state, '')
+    }
+}
+
+/**
+ * Enable the bundle actions when at least one section is selected and
+ * no import is being previewed.
+ */
+function refreshBundleActions(){
+    const disabled = getBundleSections().length === 0 || pendingSettingsBundle != null
+    settingsBundleExport.disabled = disabled
+    settingsBundleImport.disabled = disabled
+}
+
+/**
+ * Close the import preview.
+ */
+function closeBundlePreview(){
+    pendingSettingsBundle = null
+    settingsBundlePreview.style.display = 'none'
+    settingsBundleChanges.innerHTML = ''
+    refreshBundleActions()
+}
+
+/**
+ * Format a value of the import preview.
+ * 
+ * @param {*} value The value.
+ * @returns {string} The text to display.
+ */
+function formatBundleValue(value){
+    if(value == null){
+        return Lang.queryJS('settings.bundle.notSet')
+    }
+    if(typeof value === 'boolean'){
+        return Lang.queryJS(value ? 'settings.bundle.on' : 'settings.bundle.off')
+    }
+    return Array.isArray(value) ? value.join(' ') : String(value)
+}
+
+// Key path segments which only group values, they are left out of the labels.
+const BUNDLE_GROUP_KEYS = ['settings', 'overrides', 'configurations', 'dropins', 'mods', 'value']
+// Settings with a translated label, other keys are mod ids or file names.
+const BUNDLE_LABELED_KEYS = ['resWidth', 'resHeight', 'fullscreen', 'autoConnect', 'launchDetached', 'minRAM', 'maxRAM', 'jvmOptions']
+
+/**
+ * Describe a change of the import preview.
+ * 
+ * @param {Object} change The change, see SettingsBundle.diffBundle.
+ * @param {Object} distro The distribution.
+ * @returns {string} The label of the changed value.
+ */
+function getBundleChangeLabel({ keyPath: [section, ...keys] }, distro){
+    const labels = [Lang.queryJS(`settings.bundle.sections.${section}`)]
+    if(section === SettingsBundle.SECTIONS.ACCOUNTS){
+        return labels[0]
+    }
+    for(const key of keys.filter(key => !BUNDLE_GROUP_KEYS.includes(key))){
+        if(BUNDLE_LABELED_KEYS.includes(key)){
+            labels.push(Lang.queryJS(`settings.bundle.keys.${key}`))
+        } else {
+            labels.push(distro.getServerById(key)?.rawServer.name ?? key)
+        }
+    }
+    return labels.join(' › ')
+}
+
+/**
+ * List the changes of an import, the values come from the file so they
+ * are only ever set as text.
+ * 
+ * @param {Array.<Object>} changes The changes, see SettingsBundle.diffBundle.
+ * @param {Object} distro The distribution.
+ */
+function populateBundleChanges(changes, distro){
+    settingsBundleChanges.innerHTML = ''
+    for(const change of changes){
+        // A new account is listed once, by its name.
+        if(change.keyPath[0] === SettingsBundle.SECTIONS.ACCOUNTS && change.keyPath[2] !== 'displayName'){
+            continue
+        }
+        const row = document.createElement('div')
+        row.className = 'settingsBundleChange'
+        const label = document.createElement('span')
+        label.className = 'settingsBundleChangeLabel'
+        label.textContent = getBundleChangeLabel(change, distro)
+        const values = document.createElement('span')
+        values.className = 'settingsBundleChangeValues'
+        values.textContent = `${formatBundleValue(change.current)} → ${formatBundleValue(change.imported)}`
+        if(change.requested !== undefined){
+            values.textContent += ' ' + Lang.queryJS('settings.bundle.adjusted', { value: formatBundleValue(change.requested) })
+        }
+        row.append(label, values)
+        settingsBundleChanges.appendChild(row)
+    }
+}
+
+settingsBundleSections.onchange = () => {
+    refreshBundleActions()
+}
+
+settingsBundleExport.onclick = async () => {
+    setBundleStatus('')
+    const res = await remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('settings.bundle.exportDialogTitle'),
+        defaultPath: 'launcher-settings.json',
+        filters: [{ name: Lang.queryJS('settings.bundle.fileType'), extensions: ['json'] }]
+    })
+    if(res.canceled){
+        return
+    }
+    try {
+        const distro = await DistroAPI.getDistribution()
+        await SettingsBundle.writeBundle(res.filePath, SettingsBundle.createBundle(distro.servers, getBundleSections()))
+        setBundleStatus(Lang.queryJS('settings.bundle.exported', { file: res.filePath }), 'success')
+    } catch(err) {
+        setBundleStatus(Lang.queryJS('settings.bundle.exportFailed', { error: err.message }), 'error')
+    }
+}
+
+settingsBundleImport.onclick = async () => {
+    setBundleStatus('')
+    const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('settings.bundle.importDialogTitle'),
+        properties: ['openFile'],
+        filters: [{ name: Lang.queryJS('settings.bundle.fileType'), extensions: ['json'] }]
+    })
+    if(res.canceled){
+        return
+    }
+    try {
+        const bundle = await SettingsBundle.readBundle(res.filePaths[0])
+        const distro = await DistroAPI.getDistribution()
+        const sections = getBundleSections()
+        const changes = SettingsBundle.diffBundle(bundle, distro.servers, sections)
+        if(changes.length === 0){
+            setBundleStatus(Lang.queryJS('settings.bundle.noChanges'))
+            return
+        }
+        pendingSettingsBundle = { bundle, sections }
+        populateBundleChanges(changes, distro)
+        settingsBundlePreview.style.display = ''
+        refreshBundleActions()
+    } catch(err) {
+        setBundleStatus(Lang.queryJS('settings.bundle.importFailed', { error: err.message }), 'error')
+    }
+}
+
+settingsBundleApply.onclick = async () => {
+    const { bundle, sections } = pendingSettingsBundle
+    settingsBundleApply.disabled = true
+    try {
+        const distro = await DistroAPI.getDistribution()
+        await SettingsBundle.applyBundle(bundle, distro.servers, sections)
+        closeBundlePreview()
+        // Reload the fields, saving the settings would otherwise revert the import.
+        await prepareSettings()
+        setBundleStatus(Lang.queryJS('settings.bundle.imported'), 'success')
+    } catch(err) {
+        setBundleStatus(Lang.queryJS('settings.bundle.importFailed', { error: err.message }), 'error')
+    } finally {
+        settingsBundleApply.disabled = false
+    }
+}
+
+settingsBundleCancel.onclick = () => {
+    closeBundlePreview()
+}
+
+/**
+ * Prepare the launcher tab for display.
+ */
+function prepareLauncherTab(){
+    refreshAuthAPIField()
+    setAuthAPIStatus('')
+    if(pendingSettingsBundle == null){
+        closeBundlePreview()
+        setBundleStatus('')
+    }
+}
+
 /**
  * About Tab
  */
@@ -1574,8 +2514,10 @@ async function prepareSettings(first = false) {
         await prepareModsTab()
     }
     await initSettingsValues()
-    prepareAccountsTab()
+    prepareAccountsTab(first)
+    prepareMinecraftTab()
     await prepareJavaTab()
+    prepareLauncherTab()
     prepareAboutTab()
 }
 
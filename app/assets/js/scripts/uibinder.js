@@ -9,15 +9,24 @@ const { Type }      = require('helios-distribution-types')
 const AuthManager   = require('./assets/js/authmanager')
 const ConfigManager = require('./assets/js/configmanager')
 const { DistroAPI } = require('./assets/js/distromanager')
+const SkinRenderer  = require('./assets/js/skinrenderer')
+const { MOCK_AUTH_OPCODE } = require('./assets/js/ipcconstants')
 
 let rscShouldLoad = false
 let fatalStartupError = false
 
+// Write changes waiting for a scheduled save before the window closes.
+window.addEventListener('beforeunload', () => {
+    ConfigManager.flushSave()
+})
+
 // Mapping of each view to their container IDs.
 const VIEWS = {
     landing: '#landingContainer',
     loginOptions: '#loginOptionsContainer',
     login: '#loginContainer',
+    register: '#registerContainer',
+    password: '#passwordContainer',
     settings: '#settingsContainer',
     welcome: '#welcomeContainer',
     waiting: '#waitingContainer'
@@ -65,8 +74,14 @@ async function showMainUI(data){
     }
 
     await prepareSettings(true)
+    if(isDev && process.env.HELIOS_MOCK_AUTH){
+        await startMockAuth(process.env.HELIOS_MOCK_AUTH)
+    }
+    AuthManager.setDistribution(data)
     updateSelectedServer(data.getServerById(ConfigManager.getSelectedServer()))
     refreshServerStatus()
+    refreshFavoriteServerStatuses()
+    recordServerStatuses()
     setTimeout(() => {
         document.getElementById('frameBar').style.backgroundColor = 'rgba(0, 0, 0, 0.5)'
         document.body.style.backgroundImage = `url('assets/images/backgrounds/${document.body.getAttribute('bkid')}.jpg')`
@@ -77,9 +92,15 @@ async function showMainUI(data){
         // If this is enabled in a development environment we'll get ratelimited.
         // The relaunch frequency is usually far too high.
         if(!isDev && isLoggedIn){
-            validateSelectedAccount()
+            // Validation may show its own overlay, let the user read the recovery notice first.
+            showConfigRecoveryNotice(() => validateSelectedAccount())
+        } else {
+            showConfigRecoveryNotice()
         }
 
+        // Keep access tokens fresh while the launcher is open.
+        AuthManager.scheduleRefresh()
+
         if(ConfigManager.isFirstLaunch()){
             currentView = VIEWS.welcome
             $(VIEWS.welcome).fadeIn(1000)
@@ -109,6 +130,33 @@ async function showMainUI(data){
     })
 }
 
+/**
+ * Tell the user their configuration was corrupt and how it was recovered,
+ * if it was.
+ * 
+ * @param {function} onDismiss Optional. Called once the notice is dismissed,
+ * or right away if there is nothing to show.
+ */
+function showConfigRecoveryNotice(onDismiss = () => {}){
+    const recovery = ConfigManager.getConfigRecovery()
+    if(recovery == null){
+        onDismiss()
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('uibinder.configRecovery.title'),
+        recovery.backupDate != null
+            ? Lang.queryJS('uibinder.configRecovery.restoredMessage', { date: recovery.backupDate.toLocaleString(), file: recovery.corruptFile })
+            : Lang.queryJS('uibinder.configRecovery.resetMessage', { file: recovery.corruptFile }),
+        Lang.queryJS('uibinder.configRecovery.okButton')
+    )
+    setOverlayHandler(() => {
+        toggleOverlay(false)
+        onDismiss()
+    })
+    toggleOverlay(true)
+}
+
 function showFatalStartupError(){
     setTimeout(() => {
         $('#loadingContainer').fadeOut(250, () => {
@@ -133,6 +181,7 @@ function showFatalStartupError(){
  * @param {Object} data The distro index object.
  */
 function onDistroRefresh(data){
+    AuthManager.setDistribution(data)
     updateSelectedServer(data.getServerById(ConfigManager.getSelectedServer()))
     refreshServerStatus()
     initNews()
@@ -221,7 +270,7 @@ function syncModConfigurations(data){
     }
 
     ConfigManager.setModConfigurations(syncedCfgs)
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
 }
 
 /**
@@ -236,7 +285,7 @@ function ensureJavaSettings(data) {
         ConfigManager.ensureJavaConfig(serv.rawServer.id, serv.effectiveJavaOptions, serv.rawServer.javaOptions?.ram)
     }
 
-    ConfigManager.save()
+    ConfigManager.scheduleSave()
 }
 
 /**
@@ -326,10 +375,23 @@ function mergeModConfiguration(o, n, nReq = false){
 async function validateSelectedAccount(){
     const selectedAcc = ConfigManager.getSelectedAccount()
     if(selectedAcc != null){
-        const val = await AuthManager.validateSelected()
-        if(!val){
+        const status = await AuthManager.validateSelected()
+        if(status === AuthManager.AccessStatus.OFFLINE){
+            // The auth backend is down, keep the account so it can be played offline.
+            setOfflineMode(true)
+            setOverlayContent(
+                Lang.queryJS('uibinder.validateAccount.offlineTitle'),
+                Lang.queryJS('uibinder.validateAccount.offlineMessage', { 'account': selectedAcc.displayName }),
+                Lang.queryJS('uibinder.validateAccount.offlineButton')
+            )
+            setOverlayHandler(null)
+            toggleOverlay(true)
+            return true
+        }
+        setOfflineMode(false)
+        if(status !== AuthManager.AccessStatus.VALID){
             ConfigManager.removeAuthAccount(selectedAcc.uuid)
-            ConfigManager.save()
+            ConfigManager.scheduleSave()
             const accLen = Object.keys(ConfigManager.getAuthAccounts()).length
             setOverlayContent(
                 Lang.queryJS('uibinder.validateAccount.failedMessageTitle'),
@@ -341,16 +403,9 @@ async function validateSelectedAccount(){
             )
             setOverlayHandler(() => {
 
-                const isMicrosoft = selectedAcc.type === 'microsoft'
-
-                if(isMicrosoft) {
-                    // Empty for now
-                } else {
-                    // Mojang
-                    // For convenience, pre-populate the username of the account.
-                    document.getElementById('loginUsername').value = selectedAcc.username
-                    validateEmail(selectedAcc.username)
-                }
+                // For convenience, pre-populate the username of the account.
+                document.getElementById('loginUsername').value = selectedAcc.displayName
+                validateEmail(selectedAcc.displayName)
                 
                 loginOptionsViewOnLoginSuccess = getCurrentView()
                 loginOptionsViewOnLoginCancel = VIEWS.loginOptions
@@ -358,20 +413,15 @@ async function validateSelectedAccount(){
                 if(accLen > 0) {
                     loginOptionsViewOnCancel = getCurrentView()
                     loginOptionsViewCancelHandler = () => {
-                        if(isMicrosoft) {
-                            ConfigManager.addMicrosoftAuthAccount(
-                                selectedAcc.uuid,
-                                selectedAcc.accessToken,
-                                selectedAcc.username,
-                                selectedAcc.expiresAt,
-                                selectedAcc.microsoft.access_token,
-                                selectedAcc.microsoft.refresh_token,
-                                selectedAcc.microsoft.expires_at
-                            )
-                        } else {
-                            ConfigManager.addMojangAuthAccount(selectedAcc.uuid, selectedAcc.accessToken, selectedAcc.username, selectedAcc.displayName)
-                        }
-                        ConfigManager.save()
+                        ConfigManager.addCustomAuthAccount(
+                            selectedAcc.uuid,
+                            selectedAcc.accessToken,
+                            selectedAcc.refreshToken,
+                            selectedAcc.displayName,
+                            selectedAcc.expiresAt,
+                            selectedAcc.authAPI
+                        )
+                        ConfigManager.scheduleSave()
                         validateSelectedAccount()
                     }
                     loginOptionsCancelEnabled(true)
@@ -382,17 +432,19 @@ async function validateSelectedAccount(){
                 switchView(getCurrentView(), VIEWS.loginOptions)
             })
             setDismissHandler(() => {
-                if(accLen > 1){
+                const accountsObj = ConfigManager.getAuthAccounts()
+                const accounts = Array.from(Object.keys(accountsObj), v => accountsObj[v])
+                // Only accounts of the selected server's auth backend are selectable.
+                const serverAccounts = accounts.filter(acc => AuthManager.isAccountForServer(acc))
+                if(serverAccounts.length > 1){
                     prepareAccountSelectionList()
                     $('#overlayContent').fadeOut(250, () => {
                         bindOverlayKeys(true, 'accountSelectContent', true)
                         $('#accountSelectContent').fadeIn(250)
                     })
                 } else {
-                    const accountsObj = ConfigManager.getAuthAccounts()
-                    const accounts = Array.from(Object.keys(accountsObj), v => accountsObj[v])
                     // This function validates the account switch.
-                    setSelectedAccount(accounts[0].uuid)
+                    setSelectedAccount((serverAccounts[0] ?? accounts[0]).uuid)
                     toggleOverlay(false)
                 }
             })
@@ -412,9 +464,8 @@ async function validateSelectedAccount(){
  * @param {string} uuid The UUID of the account.
  */
 function setSelectedAccount(uuid){
-    const authAcc = ConfigManager.setSelectedAccount(uuid)
-    ConfigManager.save()
-    updateSelectedAccount(authAcc)
+    ConfigManager.setSelectedAccount(uuid)
+    ConfigManager.scheduleSave()
     validateSelectedAccount()
 }
 
@@ -459,8 +510,49 @@ ipcRenderer.on('distributionIndexDone', async (event, res) => {
 // Util for development
 async function devModeToggle() {
     DistroAPI.toggleDevMode(true)
+    if(process.env.HELIOS_MOCK_AUTH){
+        await startMockAuth(process.env.HELIOS_MOCK_AUTH)
+    }
     const data = await DistroAPI.refreshDistributionOrFallback()
     ensureJavaSettings(data)
+    AuthManager.setDistribution(data)
     updateSelectedServer(data.servers[0])
     syncModConfigurations(data)
 }
+
+const loggerMockAuth = LoggerUtil.getLogger('MockAuth')
+
+/**
+ * Start the bundled mock auth server and point every server at it.
+ * Only meant for development, see docs/MockAuthServer.md.
+ * 
+ * @param {string} scenario Optional. The scenario to run, ex. 'expiredTokens'.
+ */
+async function startMockAuth(scenario = 'normal') {
+    // Any truthy value of HELIOS_MOCK_AUTH which is not a scenario means the default one.
+    let res
+    try {
+        res = await ipcRenderer.invoke(MOCK_AUTH_OPCODE.START, scenario === '1' ? 'normal' : scenario)
+    } catch(err) {
+        // The main process only handles it in development mode.
+        res = { result: false, error: err }
+    }
+    if(res.result){
+        AuthManager.setAuthAPIOverride(res.url)
+        loggerMockAuth.info(`Using the mock auth server at ${res.url}.`)
+    } else {
+        loggerMockAuth.error('Unable to start the mock auth server.', res.error)
+    }
+}
+
+/**
+ * Switch the scenario of the running mock auth server.
+ * 
+ * @param {string} scenario The scenario to run, ex. 'rateLimited'.
+ */
+async function setMockAuthScenario(scenario) {
+    const res = await ipcRenderer.invoke(MOCK_AUTH_OPCODE.SET_SCENARIO, scenario)
+    if(!res.result){
+        loggerMockAuth.error('Unable to switch the mock auth scenario.', res.error)
+    }
+}
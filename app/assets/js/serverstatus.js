@@ -1,65 +1,561 @@
-const net = require('net')
+const dns            = require('dns').promises
+const net            = require('net')
+const { LoggerUtil } = require('helios-core')
+
+const logger = LoggerUtil.getLogger('ServerStatus')
+
+const DEFAULT_PORT = 25565
+// How long SRV lookups are cached, in milliseconds. Lookups which found no
+// record (or failed) are retried sooner.
+const SRV_CACHE_TTL = 10*60*1000
+const SRV_NEGATIVE_CACHE_TTL = 60*1000
+// Time to wait for a server to answer, in milliseconds.
+const STATUS_TIMEOUT = 2500
+// Protocol version sent in the handshake. By convention, -1 is used when
+// pinging to find out which version the server runs.
+const HANDSHAKE_PROTOCOL = -1
+// Upper bound of a status packet. Favicons make them a few dozen KB at most.
+const MAX_PACKET_LENGTH = 1024*1024
+// How long a status is reused by getCachedStatus, in milliseconds.
+const STATUS_CACHE_TTL = 30*1000
+// Maximum number of servers pinged at the same time by getCachedStatus.
+const MAX_CONCURRENT_PINGS = 4
+
+// Lowercase hostname -> {expires, promise} of the resolved address.
+const srvCache = new Map()
+// Lowercase "hostname:port" -> {time, promise} of the status.
+const statusCache = new Map()
+// Pings waiting for a free slot.
+const pendingPings = []
+let activePings = 0
 
 /**
- * Retrieves the status of a minecraft server.
- * 
- * @param {string} address The server address.
- * @param {number} port Optional. The port of the server. Defaults to 25565.
- * @returns {Promise.<Object>} A promise which resolves to an object containing
- * status information.
+ * Parse the port of a server, which may be missing or a string.
+ *
+ * @param {number | string | null} port The port.
+ * @returns {number} The port, or the default one if missing.
  */
-exports.getStatus = function(address, port = 25565){
-
+function normalizePort(port){
     if(port == null || port == ''){
-        port = 25565
+        return DEFAULT_PORT
     }
-    if(typeof port === 'string'){
-        port = parseInt(port)
+    return typeof port === 'string' ? parseInt(port) : port
+}
+
+/**
+ * Look up the _minecraft._tcp SRV record of a hostname.
+ *
+ * @param {string} hostname The hostname.
+ * @returns {Promise.<{host: string, port: number, srv: boolean}>} The address
+ * of the record, or the hostname itself if there is none.
+ */
+async function lookupSrv(hostname){
+    let records
+    try {
+        records = await dns.resolveSrv(`_minecraft._tcp.${hostname}`)
+    } catch(err) {
+        // ENODATA and ENOTFOUND just mean there is no record.
+        if(err.code !== dns.NODATA && err.code !== dns.NOTFOUND){
+            logger.warn(`SRV lookup for ${hostname} failed (${err.code}), using the hostname.`)
+        }
+        return { host: hostname, port: DEFAULT_PORT, srv: false }
+    }
+    if(records.length === 0){
+        return { host: hostname, port: DEFAULT_PORT, srv: false }
+    }
+    // Lowest priority first, then highest weight.
+    const [record] = records.sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+    logger.info(`Resolved ${hostname} to ${record.name}:${record.port} via SRV.`)
+    return { host: record.name, port: record.port, srv: true }
+}
+
+/**
+ * Resolve the address to connect to for a server, following its
+ * _minecraft._tcp SRV record like the game does. As in the game, the
+ * record is only looked up when no port other than the default one is
+ * given. Without a record, the hostname is used as is and resolved
+ * through its A/AAAA records when connecting.
+ *
+ * Lookups are cached. This never rejects, failed lookups resolve to
+ * the given address.
+ *
+ * @param {string} hostname The server hostname.
+ * @param {number | string} port Optional. The port of the server. Defaults to 25565.
+ * @returns {Promise.<{host: string, port: number, srv: boolean}>} The address to connect to.
+ */
+exports.resolveAddress = async function(hostname, port = DEFAULT_PORT){
+    port = normalizePort(port)
+    if(port !== DEFAULT_PORT || net.isIP(hostname) !== 0 || hostname.toLowerCase() === 'localhost'){
+        return { host: hostname, port, srv: false }
     }
 
+    const key = hostname.toLowerCase()
+    let entry = srvCache.get(key)
+    if(entry == null || entry.expires <= Date.now()){
+        entry = { expires: Date.now() + SRV_CACHE_TTL, promise: lookupSrv(hostname) }
+        srvCache.set(key, entry)
+        entry.promise.then(({ srv }) => {
+            if(!srv){
+                entry.expires = Date.now() + SRV_NEGATIVE_CACHE_TTL
+            }
+        })
+    }
+    return entry.promise
+}
+
+/**
+ * Encode a VarInt, as used by the 1.7+ protocol.
+ *
+ * @param {number} value The value to encode, a signed 32-bit integer.
+ * @returns {Buffer} The encoded value.
+ */
+function writeVarInt(value){
+    const bytes = []
+    // Negative values are encoded as their unsigned 32-bit representation.
+    value >>>= 0
+    do {
+        let byte = value & 0x7F
+        value >>>= 7
+        if(value !== 0){
+            byte |= 0x80
+        }
+        bytes.push(byte)
+    } while(value !== 0)
+    return Buffer.from(bytes)
+}
+
+/**
+ * Decode a VarInt.
+ *
+ * @param {Buffer} buffer The buffer to read from.
+ * @param {number} offset The position of the VarInt.
+ * @returns {{value: number, size: number} | null} The value and the number of
+ * bytes it takes, or null if the buffer ends before the VarInt does.
+ */
+function readVarInt(buffer, offset){
+    let value = 0
+    for(let i=0; i<5; i++){
+        if(offset + i >= buffer.length){
+            return null
+        }
+        const byte = buffer[offset + i]
+        value |= (byte & 0x7F) << (7 * i)
+        if((byte & 0x80) === 0){
+            return { value, size: i + 1 }
+        }
+    }
+    throw badResponse('VarInt is too big.')
+}
+
+/**
+ * Encode a string, prefixed with its length in bytes.
+ *
+ * @param {string} value The string to encode.
+ * @returns {Buffer} The encoded string.
+ */
+function writeString(value){
+    const data = Buffer.from(value, 'utf8')
+    return Buffer.concat([writeVarInt(data.length), data])
+}
+
+/**
+ * Build a packet, prefixed with its length.
+ *
+ * @param {number} id The packet id.
+ * @param  {...Buffer} fields The encoded fields of the packet.
+ * @returns {Buffer} The packet.
+ */
+function packet(id, ...fields){
+    const body = Buffer.concat([writeVarInt(id), ...fields])
+    return Buffer.concat([writeVarInt(body.length), body])
+}
+
+/**
+ * Create the error used when a server does not answer with a valid status.
+ *
+ * @param {string} message The reason.
+ * @returns {Object} The error.
+ */
+function badResponse(message){
+    return {
+        code: 'EBADRESPONSE',
+        message
+    }
+}
+
+/**
+ * Flatten a chat component to plain text, dropping formatting codes.
+ *
+ * @param {Object | string | Array} component The chat component.
+ * @returns {string} The text of the component.
+ */
+function componentToText(component){
+    let text
+    if(component == null){
+        text = ''
+    } else if(typeof component === 'string'){
+        text = component
+    } else if(Array.isArray(component)){
+        text = component.map(componentToText).join('')
+    } else {
+        text = String(component.text ?? component.translate ?? '') + (component.extra ?? []).map(componentToText).join('')
+    }
+    return text.replace(/§[0-9a-fk-or]/gi, '')
+}
+
+/**
+ * Build the status object from the JSON response of a 1.7+ server.
+ *
+ * @param {Object} res The JSON response.
+ * @param {number} latency The measured latency, in milliseconds.
+ * @returns {Object} The status.
+ */
+function modernStatus(res, latency){
+    // Older servers send the MOTD as a plain string.
+    const motd = typeof res.description === 'string' ? { text: res.description } : (res.description ?? { text: '' })
+    return {
+        online: true,
+        legacy: false,
+        version: {
+            name: res.version?.name ?? null,
+            protocol: res.version?.protocol ?? null
+        },
+        motd,
+        motdText: componentToText(motd),
+        favicon: typeof res.favicon === 'string' && res.favicon.startsWith('data:image/') ? res.favicon : null,
+        players: {
+            online: res.players?.online ?? 0,
+            max: res.players?.max ?? 0,
+            sample: Array.isArray(res.players?.sample)
+                ? res.players.sample.map(({ name, id }) => ({ name, id }))
+                : []
+        },
+        latency
+    }
+}
+
+/**
+ * Check if the first answer of a server is the kick packet pre-1.7 servers
+ * send in reply to the handshake: 0xFF, the UInt16 length of the reason, and
+ * the reason starting with '§' in UTF-16BE.
+ *
+ * A 1.7+ status packet whose length VarInt starts with 0xFF may carry the same
+ * bytes, so the buffer is only a kick if it is not framed as a status packet.
+ *
+ * @param {Buffer} buffer The data received so far.
+ * @returns {boolean | null} Whether the data is a kick packet, or null if more
+ * data is needed to tell.
+ */
+function isLegacyKick(buffer){
+    if(buffer.length < 5){
+        return buffer.length > 0 && buffer[0] === 0xFF ? null : false
+    }
+    if(buffer[0] !== 0xFF || buffer[3] !== 0x00 || buffer[4] !== 0xA7){
+        return false
+    }
+    const length = readVarInt(buffer, 0)
+    const id = length != null ? readVarInt(buffer, length.size) : null
+    const strLength = id != null ? readVarInt(buffer, length.size + id.size) : null
+    if(strLength == null){
+        return null
+    }
+    return id.value !== 0x00 || id.size + strLength.size + strLength.value !== length.value
+}
+
+/**
+ * Ping a server with the 1.7+ handshake, status and ping packets.
+ *
+ * @param {string} address The server address, sent in the handshake.
+ * @param {number} port The port of the server, sent in the handshake.
+ * @param {{host: string, port: number}} target The resolved address to connect to.
+ * @param {number} timeout The time to wait for an answer, in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to the status.
+ */
+function modernPing(address, port, target, timeout){
     return new Promise((resolve, reject) => {
-        const socket = net.connect(port, address, () => {
-            let buff = Buffer.from([0xFE, 0x01])
-            socket.write(buff)
+        let buffer = Buffer.alloc(0)
+        let status = null
+        let sentAt = 0
+        let statusLatency = null
+        let settled = false
+
+        const finish = (err, latency = statusLatency) => {
+            if(settled){
+                return
+            }
+            settled = true
+            socket.destroy()
+            if(err != null){
+                reject(err)
+            } else {
+                resolve(modernStatus(status, latency))
+            }
+        }
+
+        const socket = net.connect(target.port, target.host, () => {
+            sentAt = Date.now()
+            socket.write(Buffer.concat([
+                packet(0x00, writeVarInt(HANDSHAKE_PROTOCOL), writeString(address), Buffer.from([port >> 8, port & 0xFF]), writeVarInt(1)),
+                packet(0x00)
+            ]))
+        })
+
+        socket.setTimeout(timeout, () => {
+            // Some servers never answer the ping packet, the status is enough.
+            if(status != null){
+                finish(null)
+            } else {
+                finish({
+                    code: 'ETIMEDOUT',
+                    errno: 'ETIMEDOUT',
+                    address,
+                    port
+                })
+            }
         })
 
-        socket.setTimeout(2500, () => {
-            socket.end()
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data])
+            try {
+                // Pre-1.7 servers answer the handshake with a kick packet.
+                if(status == null){
+                    const kick = isLegacyKick(buffer)
+                    if(kick == null){
+                        return
+                    }
+                    if(kick){
+                        throw badResponse('Server only supports the legacy ping.')
+                    }
+                }
+                for(;;){
+                    const length = readVarInt(buffer, 0)
+                    if(length == null){
+                        break
+                    }
+                    if(length.value > MAX_PACKET_LENGTH){
+                        throw badResponse(`Packet of ${length.value} bytes is too big.`)
+                    }
+                    if(buffer.length < length.size + length.value){
+                        break
+                    }
+                    const body = buffer.subarray(length.size, length.size + length.value)
+                    buffer = buffer.subarray(length.size + length.value)
+
+                    const id = readVarInt(body, 0)
+                    if(id?.value === 0x00 && status == null){
+                        const strLength = readVarInt(body, id.size)
+                        if(strLength == null){
+                            throw badResponse('Truncated status response.')
+                        }
+                        const start = id.size + strLength.size
+                        status = JSON.parse(body.toString('utf8', start, start + strLength.value))
+                        statusLatency = Date.now() - sentAt
+
+                        const payload = Buffer.alloc(8)
+                        sentAt = Date.now()
+                        payload.writeBigInt64BE(BigInt(sentAt))
+                        socket.write(packet(0x01, payload))
+                    } else if(id?.value === 0x01 && status != null){
+                        finish(null, Date.now() - sentAt)
+                        return
+                    }
+                }
+            } catch(err) {
+                finish(err instanceof SyntaxError ? badResponse('Status is not valid JSON.') : err)
+            }
+        })
+
+        socket.on('close', () => {
+            // The server may close the connection instead of answering the ping.
+            if(status != null){
+                finish(null)
+            } else {
+                finish(badResponse('Connection closed before the status was received.'))
+            }
+        })
+
+        socket.on('error', (err) => {
+            finish(err)
+            // ENOTFOUND = Unable to resolve.
+            // ECONNREFUSED = Unable to connect to port.
+        })
+    })
+}
+
+/**
+ * Parse the answer of a server to the legacy ping.
+ *
+ * @param {Buffer} data The answer, a kick packet.
+ * @param {number} latency The measured latency, in milliseconds.
+ * @returns {Object} The status.
+ */
+function legacyStatus(data, latency){
+    // The reason of the kick packet is a UTF-16BE string.
+    const text = Buffer.from(data.subarray(3, 3 + data.readUInt16BE(1) * 2)).swap16().toString('utf16le')
+    let version = { name: null, protocol: null }
+    let motd, online, max
+    if(text.startsWith('§1\u0000')){
+        // 1.4 to 1.6: §1, protocol, version, MOTD, players and max players.
+        const fields = text.split('\u0000')
+        version = { name: fields[2], protocol: parseInt(fields[1]) }
+        ;[motd, online, max] = fields.slice(3)
+    } else {
+        // Beta 1.8 to 1.3: MOTD, players and max players, separated by §.
+        const fields = text.split('§')
+        max = fields.pop()
+        online = fields.pop()
+        motd = fields.join('§')
+    }
+    return {
+        online: true,
+        legacy: true,
+        version,
+        motd: { text: motd ?? '' },
+        motdText: componentToText(motd),
+        favicon: null,
+        players: {
+            online: parseInt(online) || 0,
+            max: parseInt(max) || 0,
+            sample: []
+        },
+        latency
+    }
+}
+
+/**
+ * Ping a server with the legacy 0xFE 0x01 packet, understood by servers
+ * older than 1.7.
+ *
+ * @param {{host: string, port: number}} target The resolved address to connect to.
+ * @param {number} timeout The time to wait for an answer, in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to the status.
+ */
+function legacyPing(target, timeout){
+    return new Promise((resolve, reject) => {
+        let buffer = Buffer.alloc(0)
+        let sentAt = 0
+
+        const socket = net.connect(target.port, target.host, () => {
+            sentAt = Date.now()
+            socket.write(Buffer.from([0xFE, 0x01]))
+        })
+
+        socket.setTimeout(timeout, () => {
+            socket.destroy()
             reject({
                 code: 'ETIMEDOUT',
                 errno: 'ETIMEDOUT',
-                address,
-                port
+                address: target.host,
+                port: target.port
             })
         })
 
         socket.on('data', (data) => {
-            if(data != null && data != ''){
-                let server_info = data.toString().split('\x00\x00\x00')
-                const NUM_FIELDS = 6
-                if(server_info != null && server_info.length >= NUM_FIELDS){
-                    resolve({
-                        online: true,
-                        version: server_info[2].replace(/\u0000/g, ''),
-                        motd: server_info[3].replace(/\u0000/g, ''),
-                        onlinePlayers: server_info[4].replace(/\u0000/g, ''),
-                        maxPlayers: server_info[5].replace(/\u0000/g,'')
-                    })
+            buffer = Buffer.concat([buffer, data])
+            if(buffer.length >= 3 && buffer.length >= 3 + buffer.readUInt16BE(1) * 2){
+                socket.destroy()
+                if(buffer[0] === 0xFF){
+                    resolve(legacyStatus(buffer, Date.now() - sentAt))
                 } else {
                     resolve({
                         online: false
                     })
                 }
             }
-            socket.end()
+        })
+
+        socket.on('close', () => {
+            resolve({
+                online: false
+            })
         })
 
         socket.on('error', (err) => {
             socket.destroy()
             reject(err)
-            // ENOTFOUND = Unable to resolve.
-            // ECONNREFUSED = Unable to connect to port.
         })
     })
+}
+
+/**
+ * Retrieves the status of a minecraft server. The address is resolved through
+ * its SRV record, see resolveAddress. The 1.7+ protocol is tried first,
+ * falling back to the legacy ping for older servers.
+ *
+ * The status contains the version (name and protocol), the MOTD as a chat
+ * component and as plain text, the favicon as a data URL, the player counts
+ * with the sample sent by the server, and the latency in milliseconds.
+ * Legacy servers do not send a favicon nor a player sample.
+ *
+ * @param {string} address The server address.
+ * @param {number} port Optional. The port of the server. Defaults to 25565.
+ * @param {Object} options Optional.
+ * @param {number} options.timeout The time to wait for an answer, in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to an object containing
+ * status information.
+ */
+exports.getStatus = async function(address, port = DEFAULT_PORT, { timeout = STATUS_TIMEOUT } = {}){
+
+    port = normalizePort(port)
+    const target = await exports.resolveAddress(address, port)
+
+    try {
+        // Like the game, the handshake carries the address as entered, so
+        // proxies can route by hostname.
+        return await modernPing(address, port, target, timeout)
+    } catch(err) {
+        if(err.code !== 'EBADRESPONSE' && err.code !== 'ECONNRESET'){
+            throw err
+        }
+        return legacyPing(target, timeout)
+    }
+
+}
+
+/**
+ * Run a ping once less than MAX_CONCURRENT_PINGS are running.
+ *
+ * @param {function(): Promise.<Object>} ping The ping to run.
+ * @returns {Promise.<Object>} A promise which settles like the ping.
+ */
+function queuePing(ping){
+    return new Promise((resolve, reject) => {
+        const run = () => {
+            activePings++
+            ping().then(resolve, reject).finally(() => {
+                activePings--
+                pendingPings.shift()?.()
+            })
+        }
+        if(activePings < MAX_CONCURRENT_PINGS){
+            run()
+        } else {
+            pendingPings.push(run)
+        }
+    })
+}
 
-}
\ No newline at end of file
+/**
+ * Retrieves the status of a minecraft server like getStatus, reusing the
+ * result of a recent or ongoing ping of the same server. Failures are
+ * reused as well, so an offline server is not pinged again right away.
+ * At most MAX_CONCURRENT_PINGS servers are pinged at the same time.
+ *
+ * @param {string} address The server address.
+ * @param {number} port Optional. The port of the server. Defaults to 25565.
+ * @param {Object} options Optional.
+ * @param {number} options.maxAge How old a reused result may be, in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to an object containing
+ * status information.
+ */
+exports.getCachedStatus = function(address, port = DEFAULT_PORT, { maxAge = STATUS_CACHE_TTL } = {}){
+    port = normalizePort(port)
+    const key = `${address.toLowerCase()}:${port}`
+    const cached = statusCache.get(key)
+    if(cached != null && Date.now() - cached.time < maxAge){
+        return cached.promise
+    }
+    const promise = queuePing(() => exports.getStatus(address, port))
+    statusCache.set(key, { time: Date.now(), promise })
+    return promise
+}
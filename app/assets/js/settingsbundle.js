@@ -0,0 +1,454 @@
+/**
+ * Settings Bundle
+ *
+ * Exports chosen sections of the launcher settings to a single file and
+ * imports them on another installation. An import is first merged with the
+ * current settings, so the changes can be previewed before they are applied.
+ *
+ * Only settings of servers in the current distribution are imported.
+ * Machine specific values, such as the Java executable, are never exported,
+ * and accounts are exported without their tokens.
+ *
+ * This module uses DropinModUtil and must only be loaded in a renderer process.
+ *
+ * @module settingsbundle
+ */
+// Requirements
+const fs             = require('fs-extra')
+const path           = require('path')
+const { LoggerUtil } = require('helios-core')
+
+const ConfigManager  = require('./configmanager')
+const DropinModUtil  = require('./dropinmodutil')
+
+const logger = LoggerUtil.getLogger('SettingsBundle')
+
+// Identifies bundle files, and the version of their format.
+const BUNDLE_FORMAT = 'helios-settings'
+const BUNDLE_VERSION = 1
+
+/**
+ * Sections of a bundle.
+ */
+exports.SECTIONS = Object.freeze({
+    GAME: 'game',
+    JAVA: 'java',
+    MODS: 'mods',
+    SHADERPACKS: 'shaderpacks',
+    ACCOUNTS: 'accounts'
+})
+
+const DISABLED_EXT = '.disabled'
+
+/**
+ * @param {Object} serv The server.
+ * @returns {string} The instance directory of the server.
+ */
+function instanceDir(serv){
+    return path.join(ConfigManager.getInstanceDirectory(), serv.rawServer.id)
+}
+
+/**
+ * Get the drop-in mods of a server, keyed by their file name without the
+ * disabled extension.
+ *
+ * @param {Object} serv The server.
+ * @returns {Object.<string, {fullName: string, enabled: boolean}>} The drop-in mods.
+ */
+function scanDropinMods(serv){
+    const mods = {}
+    for(const mod of DropinModUtil.scanForDropinMods(path.join(instanceDir(serv), 'mods'), serv.rawServer.minecraftVersion)){
+        const name = mod.disabled ? mod.fullName.slice(0, -DISABLED_EXT.length) : mod.fullName
+        mods[name] = { fullName: mod.fullName, enabled: !mod.disabled }
+    }
+    return mods
+}
+
+/**
+ * Read the current value of each section.
+ *
+ * @param {Array.<Object>} servers The servers of the distribution.
+ * @param {Array.<string>} sections The sections to read, see SECTIONS.
+ * @returns {Object} The sections, keyed by name. They do not share objects with the configuration.
+ */
+function readSections(servers, sections){
+    const data = {}
+    for(const section of sections){
+        data[section] = {}
+    }
+    if(sections.includes(exports.SECTIONS.GAME)){
+        data.game = {
+            settings: {
+                resWidth: ConfigManager.getGameWidth(),
+                resHeight: ConfigManager.getGameHeight(),
+                fullscreen: ConfigManager.getFullscreen(),
+                autoConnect: ConfigManager.getAutoConnect(),
+                launchDetached: ConfigManager.getLaunchDetached()
+            },
+            overrides: {}
+        }
+    }
+    if(sections.includes(exports.SECTIONS.MODS)){
+        data.mods = { configurations: {}, dropins: {} }
+    }
+    for(const serv of servers){
+        const id = serv.rawServer.id
+        if(sections.includes(exports.SECTIONS.GAME)){
+            data.game.overrides[id] = ConfigManager.getGameOverrides(id)
+        }
+        if(sections.includes(exports.SECTIONS.JAVA)){
+            data.java[id] = {
+                minRAM: ConfigManager.getMinRAM(id),
+                maxRAM: ConfigManager.getMaxRAM(id),
+                jvmOptions: ConfigManager.getJVMOptions(id)
+            }
+        }
+        if(sections.includes(exports.SECTIONS.MODS)){
+            data.mods.configurations[id] = ConfigManager.getModConfiguration(id)?.mods ?? {}
+            data.mods.dropins[id] = {}
+            for(const [name, mod] of Object.entries(scanDropinMods(serv))){
+                data.mods.dropins[id][name] = mod.enabled
+            }
+        }
+        // Servers which were never launched have no shader options.
+        if(sections.includes(exports.SECTIONS.SHADERPACKS) && fs.existsSync(instanceDir(serv))){
+            data.shaderpacks[id] = DropinModUtil.getEnabledShaderpack(instanceDir(serv))
+        }
+    }
+    if(sections.includes(exports.SECTIONS.ACCOUNTS)){
+        for(const acc of Object.values(ConfigManager.getAuthAccounts())){
+            data.accounts[acc.uuid] = {
+                uuid: acc.uuid,
+                displayName: acc.displayName,
+                authAPI: acc.authAPI
+            }
+        }
+    }
+    // Some getters return the objects held by the configuration.
+    return structuredClone(data)
+}
+
+/**
+ * Create a bundle of the current settings.
+ *
+ * @param {Array.<Object>} servers The servers of the distribution.
+ * @param {Array.<string>} sections The sections to export, see SECTIONS.
+ * @returns {Object} The bundle.
+ */
+exports.createBundle = function(servers, sections){
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        sections: readSections(servers, sections)
+    }
+}
+
+/**
+ * Write a bundle to a file.
+ *
+ * @param {string} file The path of the file.
+ * @param {Object} bundle The bundle, see createBundle.
+ * @returns {Promise.<void>}
+ */
+exports.writeBundle = async function(file, bundle){
+    await fs.outputJson(file, bundle, { spaces: 4 })
+    logger.info(`Exported sections ${Object.keys(bundle.sections).join(', ')} to ${file}.`)
+}
+
+/**
+ * Read a bundle from a file.
+ *
+ * @param {string} file The path of the file.
+ * @returns {Promise.<Object>} The bundle.
+ * @throws If the file cannot be read or is not a bundle this version can import.
+ */
+exports.readBundle = async function(file){
+    const bundle = await fs.readJson(file)
+    if(bundle?.format !== BUNDLE_FORMAT || typeof bundle.sections !== 'object' || bundle.sections == null){
+        throw new Error(`${file} is not a settings bundle.`)
+    }
+    if(bundle.version > BUNDLE_VERSION){
+        throw new Error(`${file} was exported by a newer version of the launcher.`)
+    }
+    return bundle
+}
+
+/**
+ * @param {*} value The imported value.
+ * @param {*} current The current value.
+ * @returns {*} The imported value if it has the type of the current one, otherwise the current value.
+ */
+function sameType(value, current){
+    return typeof value === typeof current && Array.isArray(value) === Array.isArray(current) ? value : current
+}
+
+/**
+ * @param {string} value A memory size, as stored in the configuration (ex. 4G or 3584M).
+ * @returns {number|null} The size in gigabytes, or null if the value is malformed.
+ */
+function parseRAM(value){
+    const match = /^(\d+(?:\.\d+)?)([MG])$/.exec(value)
+    if(match == null){
+        return null
+    }
+    return match[2] === 'M' ? Number(match[1]) / 1024 : Number(match[1])
+}
+
+/**
+ * @param {number} gigabytes A memory size in gigabytes.
+ * @returns {string} The size as stored in the configuration, in the format of the memory sliders.
+ */
+function formatRAM(gigabytes){
+    return gigabytes % 1 > 0 ? `${Math.round(gigabytes * 1024)}M` : `${gigabytes}G`
+}
+
+/**
+ * Fit imported memory sizes to the memory of this machine, like the memory
+ * sliders do. A heap larger than this machine can reserve would fail the launch.
+ *
+ * @param {Object} java The merged java settings of a server, updated in place.
+ * @param {Object} current The current java settings of the server.
+ * @param {Object} serv The server.
+ * @param {Array.<string>} keyPath The key path of the java settings of the server.
+ * @param {Map.<string, string>} adjusted Receives the imported value of each
+ * adjusted memory size, keyed by its serialized key path.
+ */
+function fitRAM(java, current, serv, keyPath, adjusted){
+    const ram = serv?.rawServer.javaOptions?.ram
+    const min = ConfigManager.getAbsoluteMinRAM(ram)
+    const max = ConfigManager.getAbsoluteMaxRAM(ram)
+    const clamp = value => Math.min(Math.max(value, min), max)
+
+    let minRAM = parseRAM(java.minRAM)
+    let maxRAM = parseRAM(java.maxRAM)
+    if(minRAM == null || maxRAM == null){
+        java.minRAM = current.minRAM
+        java.maxRAM = current.maxRAM
+        return
+    }
+    maxRAM = clamp(maxRAM)
+    minRAM = Math.min(clamp(minRAM), maxRAM)
+    for(const [key, value] of [['minRAM', minRAM], ['maxRAM', maxRAM]]){
+        if(value !== parseRAM(java[key])){
+            adjusted.set(JSON.stringify([...keyPath, key]), java[key])
+            java[key] = formatRAM(value)
+        }
+    }
+}
+
+/**
+ * Merge imported mod toggles into a mod configuration. Only mods known
+ * to the current configuration are kept.
+ *
+ * @param {Object} current The current mod configuration.
+ * @param {Object} imported The imported mod configuration.
+ * @returns {Object} The merged mod configuration.
+ */
+function mergeModConfiguration(current, imported){
+    const merged = {}
+    for(const [id, value] of Object.entries(current)){
+        const importedValue = imported?.[id]
+        if(typeof value === 'object' && value != null){
+            merged[id] = {
+                value: sameType(importedValue?.value, value.value),
+                mods: mergeModConfiguration(value.mods ?? {}, importedValue?.mods)
+            }
+        } else {
+            merged[id] = sameType(importedValue, value)
+        }
+    }
+    return merged
+}
+
+/**
+ * Merge the imported sections into the current ones. Values of unknown
+ * servers, mods or shaderpacks, and values of the wrong type, are dropped.
+ * Accounts are only added, existing ones are kept as they are. Memory sizes
+ * are fitted to this machine, see fitRAM.
+ *
+ * @param {Object} current The current sections, see readSections.
+ * @param {Object} imported The imported sections.
+ * @param {Array.<Object>} servers The servers of the distribution.
+ * @param {Map.<string, string>} adjusted Optional. Receives the imported value of
+ * each adjusted memory size, keyed by its serialized key path.
+ * @returns {Object} The merged sections.
+ */
+function mergeSections(current, imported, servers, adjusted = new Map()){
+    const merged = structuredClone(current)
+    if(merged.game != null && imported.game != null){
+        for(const key of Object.keys(merged.game.settings)){
+            merged.game.settings[key] = sameType(imported.game.settings?.[key], merged.game.settings[key])
+        }
+        for(const id of Object.keys(merged.game.overrides)){
+            const overrides = imported.game.overrides?.[id]
+            if(overrides != null){
+                merged.game.overrides[id] = {}
+                for(const [key, value] of Object.entries(overrides)){
+                    if(typeof value === typeof merged.game.settings[key]){
+                        merged.game.overrides[id][key] = value
+                    }
+                }
+            }
+        }
+    }
+    if(merged.java != null && imported.java != null){
+        for(const [id, java] of Object.entries(merged.java)){
+            if(imported.java[id] == null){
+                continue
+            }
+            for(const key of Object.keys(java)){
+                java[key] = sameType(imported.java[id]?.[key], java[key])
+            }
+            fitRAM(java, current.java[id], servers.find(serv => serv.rawServer.id === id), ['java', id], adjusted)
+        }
+    }
+    if(merged.mods != null && imported.mods != null){
+        for(const id of Object.keys(merged.mods.configurations)){
+            merged.mods.configurations[id] = mergeModConfiguration(merged.mods.configurations[id], imported.mods.configurations?.[id])
+        }
+        for(const [id, dropins] of Object.entries(merged.mods.dropins)){
+            for(const name of Object.keys(dropins)){
+                dropins[name] = sameType(imported.mods.dropins?.[id]?.[name], dropins[name])
+            }
+        }
+    }
+    if(merged.shaderpacks != null && imported.shaderpacks != null){
+        for(const serv of servers){
+            const id = serv.rawServer.id
+            const pack = imported.shaderpacks[id]
+            // The pack is only enabled if it is installed on this machine.
+            if(id in merged.shaderpacks && DropinModUtil.scanForShaderpacks(instanceDir(serv)).some(p => p.fullName === pack)){
+                merged.shaderpacks[id] = pack
+            }
+        }
+    }
+    if(merged.accounts != null && imported.accounts != null){
+        for(const acc of Object.values(imported.accounts)){
+            if(typeof acc?.uuid === 'string' && typeof acc.displayName === 'string' && merged.accounts[acc.uuid] == null){
+                merged.accounts[acc.uuid] = {
+                    uuid: acc.uuid,
+                    displayName: acc.displayName,
+                    authAPI: typeof acc.authAPI === 'string' ? acc.authAPI : null
+                }
+            }
+        }
+    }
+    return merged
+}
+
+/**
+ * Flatten nested values into a map of key paths to leaf values.
+ *
+ * @param {*} value The value to flatten.
+ * @param {Array.<string>} keyPath The key path of the value.
+ * @param {Map.<string, {keyPath: Array.<string>, value: *}>} leaves The map to fill.
+ * @returns {Map.<string, {keyPath: Array.<string>, value: *}>} The leaves, keyed by their serialized key path.
+ */
+function flatten(value, keyPath = [], leaves = new Map()){
+    if(typeof value === 'object' && value != null && !Array.isArray(value)){
+        for(const [key, child] of Object.entries(value)){
+            flatten(child, [...keyPath, key], leaves)
+        }
+    } else {
+        leaves.set(JSON.stringify(keyPath), { keyPath, value })
+    }
+    return leaves
+}
+
+/**
+ * Preview the import of a bundle.
+ *
+ * @param {Object} bundle The bundle, see readBundle.
+ * @param {Array.<Object>} servers The servers of the distribution.
+ * @param {Array.<string>} sections The sections to import, see SECTIONS. Sections
+ * missing from the bundle are ignored.
+ * @returns {Array.<{keyPath: Array.<string>, current: *, imported: *, requested: *}>} The values
+ * which would change, the first key being the section. Values adjusted to this
+ * machine are listed even if they do not change, with the value of the bundle
+ * as requested.
+ */
+exports.diffBundle = function(bundle, servers, sections){
+    const current = readSections(servers, sections.filter(section => bundle.sections[section] != null))
+    const adjusted = new Map()
+    const merged = mergeSections(current, bundle.sections, servers, adjusted)
+    const before = flatten(current)
+    const changes = []
+    for(const [key, { keyPath, value }] of flatten(merged)){
+        const previous = before.get(key)?.value
+        if(JSON.stringify(previous) !== JSON.stringify(value) || adjusted.has(key)){
+            changes.push({ keyPath, current: previous, imported: value, requested: adjusted.get(key) })
+        }
+    }
+    return changes
+}
+
+/**
+ * Import a bundle. The configuration is saved afterwards, see ConfigManager.scheduleSave.
+ *
+ * @param {Object} bundle The bundle, see readBundle.
+ * @param {Array.<Object>} servers The servers of the distribution.
+ * @param {Array.<string>} sections The sections to import, see SECTIONS. Sections
+ * missing from the bundle are ignored.
+ * @returns {Promise.<void>}
+ */
+exports.applyBundle = async function(bundle, servers, sections){
+    const current = readSections(servers, sections.filter(section => bundle.sections[section] != null))
+    const merged = mergeSections(current, bundle.sections, servers)
+
+    if(merged.game != null){
+        ConfigManager.setGameWidth(merged.game.settings.resWidth)
+        ConfigManager.setGameHeight(merged.game.settings.resHeight)
+        ConfigManager.setFullscreen(merged.game.settings.fullscreen)
+        ConfigManager.setAutoConnect(merged.game.settings.autoConnect)
+        ConfigManager.setLaunchDetached(merged.game.settings.launchDetached)
+        for(const [id, overrides] of Object.entries(merged.game.overrides)){
+            ConfigManager.setGameOverrides(id, overrides)
+        }
+    }
+    if(merged.java != null){
+        for(const [id, java] of Object.entries(merged.java)){
+            ConfigManager.setMinRAM(id, java.minRAM)
+            ConfigManager.setMaxRAM(id, java.maxRAM)
+            ConfigManager.setJVMOptions(id, java.jvmOptions)
+        }
+    }
+    if(merged.mods != null){
+        for(const [id, mods] of Object.entries(merged.mods.configurations)){
+            if(ConfigManager.getModConfiguration(id) != null){
+                ConfigManager.setModConfiguration(id, { id, mods })
+            }
+        }
+        for(const serv of servers){
+            const dropins = merged.mods.dropins[serv.rawServer.id] ?? {}
+            for(const [name, mod] of Object.entries(scanDropinMods(serv))){
+                if(dropins[name] != null && dropins[name] !== mod.enabled){
+                    await DropinModUtil.toggleDropinMod(path.join(instanceDir(serv), 'mods'), mod.fullName, dropins[name])
+                }
+            }
+        }
+    }
+    if(merged.shaderpacks != null){
+        for(const serv of servers){
+            const pack = merged.shaderpacks[serv.rawServer.id]
+            if(pack != null && pack !== current.shaderpacks[serv.rawServer.id]){
+                DropinModUtil.setEnabledShaderpack(instanceDir(serv), pack)
+            }
+        }
+    }
+    if(merged.accounts != null){
+        // Adding an account selects it, keep the current selection.
+        const selected = ConfigManager.getSelectedAccount()
+        for(const acc of Object.values(merged.accounts)){
+            if(current.accounts[acc.uuid] == null){
+                ConfigManager.addCustomAuthAccount(acc.uuid, null, null, acc.displayName, null, acc.authAPI)
+            }
+        }
+        if(selected != null){
+            ConfigManager.setSelectedAccount(selected.uuid)
+        }
+    }
+
+    ConfigManager.scheduleSave()
+    logger.info(`Imported sections ${Object.keys(merged).join(', ')}.`)
+}
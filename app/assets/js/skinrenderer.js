@@ -0,0 +1,221 @@
+/**
+ * Skin Renderer
+ *
+ * Draws flat 2D previews of Minecraft skins and capes on a canvas. Used for
+ * the account avatars and the skin preview in the settings, so they show the
+ * textures served by the account's auth backend.
+ *
+ * This module uses the DOM and must only be loaded in a renderer process.
+ *
+ * @module skinrenderer
+ */
+/* eslint-env browser */
+// Requirements
+const { LoggerUtil } = require('helios-core')
+
+const logger = LoggerUtil.getLogger('SkinRenderer')
+
+/**
+ * Available avatar views.
+ */
+exports.VIEW = Object.freeze({
+    HEAD: 'head',
+    BODY: 'body'
+})
+
+// Size of the full body view, in skin pixels.
+const BODY_WIDTH = 16
+const BODY_HEIGHT = 32
+
+// Texture URL -> Promise of the loaded image.
+const images = new Map()
+// Avatar key -> Promise of the rendered data URL.
+const avatars = new Map()
+
+/**
+ * Describe a cube of the skin model by the origin of its unwrapped faces
+ * on the texture and its size.
+ */
+function cube(u, v, width, height, depth){
+    return { u, v, width, height, depth }
+}
+
+/**
+ * Get the area of the front or back face of a cube on the texture.
+ *
+ * @param {Object} c The cube.
+ * @param {boolean} back Whether to get the back face.
+ * @returns {number[]} The face, as [x, y, width, height].
+ */
+function face(c, back){
+    return [c.u + c.depth + (back ? c.depth + c.width : 0), c.v + c.depth, c.width, c.height]
+}
+
+/**
+ * Get the parts of the skin model, with their position on the body view.
+ * The player's right side is on the left of the front view.
+ *
+ * @param {boolean} slim Whether the skin uses slim arms.
+ * @returns {Object[]} The parts, in drawing order.
+ */
+function bodyParts(slim){
+    const arm = slim ? 3 : 4
+    const rightArm = { base: cube(40, 16, arm, 12, 4), overlay: cube(40, 32, arm, 12, 4), front: [4 - arm, 8], back: [12, 8] }
+    const rightLeg = { base: cube(0, 16, 4, 12, 4), overlay: cube(0, 32, 4, 12, 4), front: [4, 20], back: [8, 20] }
+    return [
+        { base: cube(0, 0, 8, 8, 8), overlay: cube(32, 0, 8, 8, 8), front: [4, 0], back: [4, 0] },
+        { base: cube(16, 16, 8, 12, 4), overlay: cube(16, 32, 8, 12, 4), front: [4, 8], back: [4, 8] },
+        rightArm,
+        // Legacy 64x32 skins have no left limbs, the right ones are mirrored.
+        { base: cube(32, 48, arm, 12, 4), overlay: cube(48, 48, arm, 12, 4), legacy: rightArm, front: [12, 8], back: [4 - arm, 8] },
+        rightLeg,
+        { base: cube(16, 48, 4, 12, 4), overlay: cube(0, 48, 4, 12, 4), legacy: rightLeg, front: [8, 20], back: [4, 20] }
+    ]
+}
+
+/**
+ * Load a texture. Images are requested with CORS so the canvas they are
+ * drawn on can be exported.
+ *
+ * @param {string} url The texture URL.
+ * @returns {Promise.<HTMLImageElement>} The loaded image.
+ */
+function loadImage(url){
+    if(!images.has(url)){
+        images.set(url, new Promise((resolve, reject) => {
+            const img = new Image()
+            img.crossOrigin = 'anonymous'
+            img.onload = () => resolve(img)
+            img.onerror = () => {
+                images.delete(url)
+                reject(new Error(`Unable to load texture ${url}.`))
+            }
+            img.src = url
+        }))
+    }
+    return images.get(url)
+}
+
+/**
+ * Draw an area of a texture, scaled without smoothing.
+ *
+ * @param {CanvasRenderingContext2D} ctx The context to draw on.
+ * @param {HTMLImageElement} img The texture.
+ * @param {number[]} area The area of the texture, in 64px units.
+ * @param {number} x The x position, in skin pixels.
+ * @param {number} y The y position, in skin pixels.
+ * @param {number} scale The size of a skin pixel on the canvas.
+ * @param {boolean} mirror Whether to flip the area horizontally.
+ */
+function drawArea(ctx, img, [sx, sy, width, height], x, y, scale, mirror = false){
+    // HD textures keep the layout of the 64px ones.
+    const unit = img.naturalWidth / 64
+    ctx.save()
+    ctx.translate((mirror ? x + width : x) * scale, y * scale)
+    ctx.scale(mirror ? -1 : 1, 1)
+    ctx.drawImage(img, sx * unit, sy * unit, width * unit, height * unit, 0, 0, width * scale, height * scale)
+    ctx.restore()
+}
+
+/**
+ * Render the full body of a skin. The cape is only visible from the back.
+ * The canvas is resized to a multiple of the body size.
+ *
+ * @param {HTMLCanvasElement} canvas The canvas to draw on.
+ * @param {string} skinURL The URL of the skin texture.
+ * @param {Object} options Optional.
+ * @param {boolean} options.slim Whether the skin uses slim arms.
+ * @param {string} options.capeURL The URL of the cape texture.
+ * @param {boolean} options.back Whether to render the back of the body.
+ * @param {number} options.scale The size of a skin pixel on the canvas.
+ * @returns {Promise.<void>}
+ */
+exports.renderBody = async function(canvas, skinURL, { slim = false, capeURL = null, back = false, scale = 8 } = {}){
+    const skin = await loadImage(skinURL)
+    const cape = capeURL != null && back ? await loadImage(capeURL) : null
+    // Legacy skins are twice as wide as they are tall.
+    const legacy = skin.naturalHeight * 2 === skin.naturalWidth
+
+    canvas.width = BODY_WIDTH * scale
+    canvas.height = BODY_HEIGHT * scale
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingEnabled = false
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+
+    for(const part of bodyParts(slim && !legacy)){
+        const [x, y] = back ? part.back : part.front
+        if(legacy && part.legacy != null){
+            drawArea(ctx, skin, face(part.legacy.base, back), x, y, scale, true)
+            continue
+        }
+        drawArea(ctx, skin, face(part.base, back), x, y, scale)
+        const overlay = face(part.overlay, back)
+        // Only the hat exists on legacy skins.
+        if(!legacy || overlay[1] + overlay[3] <= 32){
+            drawArea(ctx, skin, overlay, x, y, scale)
+        }
+    }
+    if(cape != null){
+        drawArea(ctx, cape, face(cube(0, 0, 10, 16, 1), false), 3, 8, scale)
+    }
+}
+
+/**
+ * Render the face of a skin, with its hat layer.
+ *
+ * @param {HTMLCanvasElement} canvas The canvas to draw on.
+ * @param {string} skinURL The URL of the skin texture.
+ * @param {number} scale Optional. The size of a skin pixel on the canvas.
+ * @returns {Promise.<void>}
+ */
+exports.renderHead = async function(canvas, skinURL, scale = 8){
+    const skin = await loadImage(skinURL)
+    canvas.width = 8 * scale
+    canvas.height = 8 * scale
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingEnabled = false
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    drawArea(ctx, skin, face(cube(0, 0, 8, 8, 8), false), 0, 0, scale)
+    drawArea(ctx, skin, face(cube(32, 0, 8, 8, 8), false), 0, 0, scale)
+}
+
+/**
+ * Get an image URL of an account's avatar. Renders are cached by texture,
+ * so a new skin is rendered as soon as the backend reports its URL.
+ *
+ * Accounts without a skin on their backend, or whose texture cannot be
+ * loaded, fall back to the default skin render of mc-heads.
+ *
+ * @param {string} uuid The UUID of the account.
+ * @param {Object} textures The textures of the account, see AuthManager.getTextures.
+ * @param {string} view Optional. One of VIEW.
+ * @returns {Promise.<string>} The image URL.
+ */
+exports.getAvatarURL = async function(uuid, textures, view = exports.VIEW.BODY){
+    const skin = textures?.skin
+    const fallback = view === exports.VIEW.HEAD
+        ? `https://mc-heads.net/head/${uuid}/40`
+        : `https://mc-heads.net/body/${uuid}/right`
+    if(skin?.url == null){
+        return fallback
+    }
+    const key = `${view}|${skin.model}|${skin.url}`
+    if(!avatars.has(key)){
+        avatars.set(key, (async () => {
+            const canvas = document.createElement('canvas')
+            if(view === exports.VIEW.HEAD){
+                await exports.renderHead(canvas, skin.url)
+            } else {
+                await exports.renderBody(canvas, skin.url, { slim: skin.model === 'slim' })
+            }
+            return canvas.toDataURL('image/png')
+        })())
+    }
+    try {
+        return await avatars.get(key)
+    } catch(err) {
+        avatars.delete(key)
+        logger.warn(`Unable to render the avatar of ${uuid}, using the default skin.`, err)
+        return fallback
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Status History
+ *
+ * Keeps a bounded history of the status of each server, sampled every time
+ * the launcher polls the status of the servers. Samples are persisted per server
+ * in the launcher directory, so the history survives restarts.
+ *
+ * @module statushistory
+ */
+// Requirements
+const fs             = require('fs-extra')
+const path           = require('path')
+const { LoggerUtil } = require('helios-core')
+
+const ConfigManager  = require('./configmanager')
+
+const logger = LoggerUtil.getLogger('StatusHistory')
+
+// Seven days of samples at the five minute refresh interval.
+const CAPACITY = 7*24*12
+// Samples taken sooner than this after the previous one are dropped, so
+// refreshes triggered from the UI do not weigh more than the periodic ones.
+const MIN_SAMPLE_INTERVAL = 60*1000
+
+// Server id -> Promise of its ring buffer, as {samples, next}.
+const histories = new Map()
+// Server id -> Promise of the last write of its history.
+const writes = new Map()
+
+/**
+ * @param {string} serverId The server id.
+ * @returns {string} The path of the history file of the server.
+ */
+function historyFile(serverId){
+    return path.join(ConfigManager.getLauncherDirectory(), 'statushistory', `${serverId.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`)
+}
+
+/**
+ * Load the ring buffer of a server. Samples are kept in a fixed size array,
+ * `next` being the index of the next write, which is also the oldest sample
+ * once the buffer is full.
+ *
+ * @param {string} serverId The server id.
+ * @returns {Promise.<{samples: Array.<Object>, next: number}>} The ring buffer.
+ */
+function loadHistory(serverId){
+    if(!histories.has(serverId)){
+        histories.set(serverId, (async () => {
+            try {
+                const { samples, next } = await fs.readJson(historyFile(serverId))
+                if(Array.isArray(samples) && Number.isInteger(next)){
+                    // Store oldest first, dropping what no longer fits if the capacity changed.
+                    const ordered = samples.slice(next).concat(samples.slice(0, next)).slice(-CAPACITY)
+                    return { samples: ordered, next: ordered.length % CAPACITY }
+                }
+                logger.warn(`Ignoring malformed status history of ${serverId}.`)
+            } catch(err) {
+                if(err.code !== 'ENOENT'){
+                    logger.warn(`Unable to read the status history of ${serverId}.`, err)
+                }
+            }
+            return { samples: [], next: 0 }
+        })())
+    }
+    return histories.get(serverId)
+}
+
+/**
+ * Write the ring buffer of a server. Writes of the same server are
+ * serialized so an older state never overwrites a newer one.
+ *
+ * @param {string} serverId The server id.
+ * @param {{samples: Array.<Object>, next: number}} ring The ring buffer.
+ * @returns {Promise.<void>}
+ */
+function saveHistory(serverId, ring){
+    const write = (writes.get(serverId) ?? Promise.resolve())
+        .then(() => fs.outputJson(historyFile(serverId), ring))
+        .catch(err => logger.warn(`Unable to save the status history of ${serverId}.`, err))
+    writes.set(serverId, write)
+    return write
+}
+
+/**
+ * Get the samples of a ring buffer, oldest first.
+ *
+ * @param {{samples: Array.<Object>, next: number}} ring The ring buffer.
+ * @returns {Array.<Object>} The samples.
+ */
+function ordered(ring){
+    return ring.samples.slice(ring.next).concat(ring.samples.slice(0, ring.next))
+}
+
+/**
+ * Record the status of a server.
+ *
+ * @param {string} serverId The server id.
+ * @param {Object} servStat The status returned by ServerStatus, or null if
+ * the server could not be reached.
+ * @returns {Promise.<void>}
+ */
+exports.record = async function(serverId, servStat){
+    const ring = await loadHistory(serverId)
+    const now = Date.now()
+    const last = ring.samples[(ring.next - 1 + ring.samples.length) % ring.samples.length]
+    if(last != null && now - last.time < MIN_SAMPLE_INTERVAL){
+        return
+    }
+
+    const online = servStat?.online === true
+    const sample = {
+        time: now,
+        online,
+        players: online ? servStat.players.online : null,
+        max: online ? servStat.players.max : null,
+        latency: online ? servStat.latency : null
+    }
+    if(ring.samples.length < CAPACITY){
+        ring.samples.push(sample)
+    } else {
+        ring.samples[ring.next] = sample
+    }
+    ring.next = (ring.next + 1) % CAPACITY
+    await saveHistory(serverId, ring)
+}
+
+/**
+ * Get the recorded samples of a server.
+ *
+ * @param {string} serverId The server id.
+ * @param {number} since Optional. Only return samples taken after this time (ms, epoch).
+ * @returns {Promise.<Array.<{time: number, online: boolean, players: number|null, max: number|null, latency: number|null}>>}
+ * The samples, oldest first.
+ */
+exports.getSamples = async function(serverId, since = 0){
+    return ordered(await loadHistory(serverId)).filter(sample => sample.time >= since)
+}
+
+/**
+ * Summarize samples over a period, split in buckets of equal duration.
+ * Buckets without samples (the launcher was not running) are null.
+ *
+ * @param {Array.<Object>} samples The samples, see getSamples.
+ * @param {number} from The start of the period (ms, epoch).
+ * @param {number} to The end of the period (ms, epoch).
+ * @param {number} count The number of buckets.
+ * @returns {{uptime: number|null, peak: number|null, buckets: Array.<{uptime: number, players: number|null}|null>}}
+ * The share of online samples over the period, the highest player count,
+ * and per bucket the share of online samples and the average player count.
+ */
+exports.summarize = function(samples, from, to, count){
+    const inRange = samples.filter(sample => sample.time >= from && sample.time < to)
+    const grouped = Array.from({ length: count }, () => [])
+    for(const sample of inRange){
+        grouped[Math.floor((sample.time - from) / (to - from) * count)].push(sample)
+    }
+    const onlineShare = group => group.filter(sample => sample.online).length / group.length
+    const buckets = grouped.map(group => {
+        if(group.length === 0){
+            return null
+        }
+        const online = group.filter(sample => sample.online)
+        return {
+            uptime: onlineShare(group),
+            players: online.length > 0 ? online.reduce((sum, sample) => sum + sample.players, 0) / online.length : null
+        }
+    })
+    const players = inRange.filter(sample => sample.online).map(sample => sample.players)
+    return {
+        uptime: inRange.length > 0 ? onlineShare(inRange) : null,
+        peak: players.length > 0 ? Math.max(...players) : null,
+        buckets
+    }
+}
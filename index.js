@@ -10,7 +10,7 @@ const isDev                             = require('./app/assets/js/isdev')
 const path                              = require('path')
 const semver                            = require('semver')
 const { pathToFileURL }                 = require('url')
-const { AZURE_CLIENT_ID, MSFT_OPCODE, MSFT_REPLY_TYPE, MSFT_ERROR, SHELL_OPCODE } = require('./app/assets/js/ipcconstants')
+const { AZURE_CLIENT_ID, MSFT_OPCODE, MSFT_REPLY_TYPE, MSFT_ERROR, SHELL_OPCODE, MOCK_AUTH_OPCODE } = require('./app/assets/js/ipcconstants')
 const LangLoader                        = require('./app/assets/js/langloader')
 
 // Setup Lang
@@ -104,6 +104,40 @@ ipcMain.handle(SHELL_OPCODE.TRASH_ITEM, async (event, ...args) => {
     }
 })
 
+// Handle the mock auth server, it lives here so it survives reloads of the renderer.
+// Development only, packaged builds must not be able to start it.
+if(isDev){
+    const MockAuthServer = require('./app/assets/js/mockauthserver')
+
+    ipcMain.handle(MOCK_AUTH_OPCODE.START, async (event, scenario) => {
+        try {
+            return {
+                result: true,
+                url: await MockAuthServer.start(scenario)
+            }
+        } catch(error) {
+            return {
+                result: false,
+                error: error
+            }
+        }
+    })
+
+    ipcMain.handle(MOCK_AUTH_OPCODE.SET_SCENARIO, async (event, scenario) => {
+        try {
+            MockAuthServer.setScenario(scenario)
+            return {
+                result: true
+            }
+        } catch(error) {
+            return {
+                result: false,
+                error: error
+            }
+        }
+    })
+}
+
 // Disable hardware acceleration.
 // https://electronjs.org/docs/tutorial/offscreen-rendering
 app.disableHardwareAcceleration()